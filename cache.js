@@ -0,0 +1,152 @@
+import fs from "fs";
+import path from "path";
+import { cacheLookups } from "./metrics.js";
+
+// مدت اعتبار هر نوع داده (میلی‌ثانیه)
+export const DEFAULT_TTLS = {
+  cinemeta: 24 * 60 * 60 * 1000,
+  search: 6 * 60 * 60 * 1000,
+  movie: 30 * 60 * 1000,
+  tmdb: 24 * 60 * 60 * 1000,
+  // آخرین عنوان‌های شناخته شده هر شناسه، برای زمانی که Cinemeta و TMDB در دسترس نیستند
+  // در نمونه جدای کش با فایل خودش (TITLES_FILE) نگه داشته می‌شود تا با داده‌های پرتکرار حذف نشود
+  titles: 30 * 24 * 60 * 60 * 1000,
+};
+
+const DEFAULT_TTL = 10 * 60 * 1000;
+const SAVE_INTERVAL = 60 * 1000;
+
+// کش حافظه با TTL جدا برای هر نوع داده و حداکثر تعداد آیتم (LRU)
+// در صورت تعیین filePath محتوا روی دیسک هم ذخیره می‌شود
+export default class Cache {
+  entries = new Map();
+  pending = new Map();
+  dirty = false;
+
+  constructor({
+    maxEntries = 1000,
+    ttls = DEFAULT_TTLS,
+    filePath = null,
+    logger = console,
+  } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttls = ttls;
+    this.filePath = filePath;
+    this.logger = logger;
+
+    if (this.filePath) {
+      this.load();
+      setInterval(() => this.save(), SAVE_INTERVAL).unref();
+    }
+  }
+
+  fullKey(namespace, key) {
+    return `${namespace}:${key}`;
+  }
+
+  get(namespace, key) {
+    const fullKey = this.fullKey(namespace, key);
+    const entry = this.entries.get(fullKey);
+    if (!entry) {
+      cacheLookups.inc({ namespace, result: "miss" });
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(fullKey);
+      this.dirty = true;
+      cacheLookups.inc({ namespace, result: "miss" });
+      return undefined;
+    }
+
+    cacheLookups.inc({ namespace, result: "hit" });
+
+    // جابجایی به انتهای Map تا جزو جدیدترین‌ها حساب شود
+    this.entries.delete(fullKey);
+    this.entries.set(fullKey, entry);
+    return entry.value;
+  }
+
+  set(namespace, key, value, ttl = this.ttls[namespace] ?? DEFAULT_TTL) {
+    const fullKey = this.fullKey(namespace, key);
+    this.entries.delete(fullKey);
+    this.entries.set(fullKey, { value, expiresAt: Date.now() + ttl });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.dirty = true;
+  }
+
+  // مقدار را از کش برمی‌گرداند یا با fn می‌سازد؛ نتایج خالی کش نمی‌شوند
+  async wrap(namespace, key, fn) {
+    const cached = this.get(namespace, key);
+    if (cached !== undefined) return cached;
+
+    const fullKey = this.fullKey(namespace, key);
+    if (this.pending.has(fullKey)) return this.pending.get(fullKey);
+
+    const promise = (async () => {
+      const value = await fn();
+      const empty =
+        value === null ||
+        value === undefined ||
+        (Array.isArray(value) && value.length === 0);
+      if (!empty) {
+        this.set(namespace, key, value);
+      }
+      return value;
+    })().finally(() => this.pending.delete(fullKey));
+
+    this.pending.set(fullKey, promise);
+    return promise;
+  }
+
+  invalidate(namespace, key) {
+    const removed = this.entries.delete(this.fullKey(namespace, key));
+    if (removed) this.dirty = true;
+    return removed;
+  }
+
+  // بدون namespace همه کش پاک می‌شود
+  clear(namespace) {
+    let removed = 0;
+    for (const fullKey of [...this.entries.keys()]) {
+      if (!namespace || fullKey.startsWith(`${namespace}:`)) {
+        this.entries.delete(fullKey);
+        removed++;
+      }
+    }
+    if (removed) this.dirty = true;
+    return removed;
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const saved = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+      const now = Date.now();
+      for (const [fullKey, entry] of saved) {
+        if (entry.expiresAt > now) this.entries.set(fullKey, entry);
+      }
+      this.logger.info(
+        `Cache loaded ${this.entries.size} entries from ${this.filePath}`
+      );
+    } catch (e) {
+      this.logger.error(`Error loading cache file: ${e.message}`);
+    }
+  }
+
+  save() {
+    if (!this.filePath || !this.dirty) return;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify([...this.entries]));
+      fs.renameSync(tmpPath, this.filePath);
+      this.dirty = false;
+    } catch (e) {
+      this.logger.error(`Error saving cache file: ${e.message}`);
+    }
+  }
+}
@@ -0,0 +1,186 @@
+// تعریف کاتالوگ‌های قابل مرور در استرمیو بر اساس جستجوی پیشرفته دیجی‌مووی
+import Digimovie from "./sources/digimovie.js";
+import { toLatinDigits } from "./utils.js";
+import { t } from "./i18n.js";
+
+// ژانرهای استرمیو که در manifest ارائه می‌شوند
+export const GENRE_NAMES = [
+  "Action",
+  "Adventure",
+  "Animation",
+  "Biography",
+  "Comedy",
+  "Crime",
+  "Documentary",
+  "Drama",
+  "Family",
+  "Fantasy",
+  "History",
+  "Horror",
+  "Music",
+  "Mystery",
+  "Romance",
+  "Sci-Fi",
+  "Sport",
+  "Thriller",
+  "War",
+  "Western",
+];
+
+// فیلد adv_genre فرم جستجوی پیشرفته سایت شناسه عددی ژانر است (مقدار پیش‌فرض "0" مثل adv_country و adv_age)
+// نه نام انگلیسی. این شناسه‌ها در مستندات یا API عمومی ثبت نشده‌اند، پس نگاشت نام ژانر به شناسه
+// از DIGIMOVIE_GENRE_IDS (JSON مثل {"Action": "12"}، برداشته شده از گزینه‌های <select> ژانر در فرم سایت)
+// خوانده می‌شود و بدون آن فیلتر ژانر در manifest ارائه نمی‌شود تا فهرست‌ها بی‌صدا خالی نشوند
+export function parseGenreIds(json) {
+  if (!json) return {};
+  try {
+    const ids = JSON.parse(json);
+    return Object.fromEntries(
+      Object.entries(ids)
+        .filter(([name, id]) => GENRE_NAMES.includes(name) && /^\d+$/.test(id))
+        .map(([name, id]) => [name, String(id)])
+    );
+  } catch (e) {
+    console.error(`Invalid DIGIMOVIE_GENRE_IDS: ${e.message}`);
+    return {};
+  }
+}
+
+export const GENRES = parseGenreIds(process.env.DIGIMOVIE_GENRE_IDS);
+
+const FIRST_YEAR = 1970;
+
+function yearOptions() {
+  const years = [];
+  for (let y = new Date().getFullYear(); y >= FIRST_YEAR; y--) {
+    years.push(String(y));
+  }
+  return years;
+}
+
+// نام کاتالوگ‌ها از i18n و به زبان تنظیمات کاربر ساخته می‌شود
+export const CATALOGS = [
+  {
+    id: "digimovie_latest_movies",
+    type: "movie",
+    nameKey: "catalog.latestMovies",
+    filters: { adv_movie_type: "movie", adv_order: "publish_date" },
+  },
+  {
+    id: "digimovie_latest_series",
+    type: "series",
+    nameKey: "catalog.latestSeries",
+    filters: { adv_movie_type: "series", adv_order: "publish_date" },
+  },
+  {
+    id: "digimovie_top_imdb_movies",
+    type: "movie",
+    nameKey: "catalog.topImdbMovies",
+    filters: { adv_movie_type: "movie", adv_order: "imdb_rate" },
+  },
+  {
+    id: "digimovie_top_imdb_series",
+    type: "series",
+    nameKey: "catalog.topImdbSeries",
+    filters: { adv_movie_type: "series", adv_order: "imdb_rate" },
+  },
+  {
+    id: "digimovie_dubbed_movies",
+    type: "movie",
+    nameKey: "catalog.dubbedMovies",
+    filters: {
+      adv_movie_type: "movie",
+      adv_order: "publish_date",
+      adv_dubbed: "1",
+    },
+  },
+  {
+    id: "digimovie_dubbed_series",
+    type: "series",
+    nameKey: "catalog.dubbedSeries",
+    filters: {
+      adv_movie_type: "series",
+      adv_order: "publish_date",
+      adv_dubbed: "1",
+    },
+  },
+];
+
+// کاتالوگ جستجو فقط از نوار جستجوی استرمیو فراخوانی می‌شود
+export const SEARCH_CATALOG_ID = "digimovie_search";
+
+export const SEARCH_CATALOGS = [
+  { id: SEARCH_CATALOG_ID, type: "movie", name: "DigiMoviez" },
+  { id: SEARCH_CATALOG_ID, type: "series", name: "DigiMoviez" },
+];
+
+export function getCatalogManifest(lang) {
+  const years = yearOptions();
+  const genres = Object.keys(GENRES);
+  const genreExtra = genres.length
+    ? [{ name: "genre", options: genres, isRequired: false }]
+    : [];
+  const baseExtra = [
+    { name: "year", options: years, isRequired: false },
+    { name: "skip", isRequired: false },
+  ];
+  const browse = CATALOGS.map(({ id, type, nameKey }) => ({
+    id,
+    type,
+    name: t(lang, nameKey),
+    extra: [...genreExtra, ...baseExtra],
+    extraSupported: [...genreExtra, ...baseExtra].map((e) => e.name),
+  }));
+  const search = SEARCH_CATALOGS.map(({ id, type, name }) => ({
+    id,
+    type,
+    name,
+    extra: [{ name: "search", isRequired: true }],
+    extraSupported: ["search"],
+    extraRequired: ["search"],
+  }));
+  return [...browse, ...search];
+}
+
+export function findCatalog(type, id) {
+  return (
+    [...CATALOGS, ...SEARCH_CATALOGS].find(
+      (c) => c.id === id && c.type === type
+    ) || null
+  );
+}
+
+// یکسان‌سازی حروف عربی/فارسی و ارقام تا عنوان‌های فارسی هم پیدا شوند
+export function normalizeSearchQuery(query) {
+  if (!query) return "";
+  return toLatinDigits(query)
+    .replace(/ي/g, "ی")
+    .replace(/ك/g, "ک")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// تبدیل بخش extra آدرس (مثل genre=Action&skip=30) به آبجکت
+export function parseExtra(extraStr) {
+  if (!extraStr) return {};
+  return Object.fromEntries(new URLSearchParams(extraStr));
+}
+
+// ساخت فیلترهای adv_search_movies و شماره صفحه از extra های استرمیو
+export function buildCatalogQuery(catalog, extra = {}) {
+  const filters = { ...catalog.filters };
+
+  if (extra.genre && GENRES[extra.genre]) {
+    filters.adv_genre = GENRES[extra.genre];
+  }
+
+  const year = parseInt(extra.year);
+  if (!isNaN(year)) {
+    filters.adv_release_year = { min: year, max: year };
+  }
+
+  const skip = Math.max(parseInt(extra.skip) || 0, 0);
+  const page = Math.floor(skip / Digimovie.PER_PAGE) + 1;
+
+  return { filters, page };
+}
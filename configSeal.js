@@ -0,0 +1,86 @@
+import crypto from "crypto";
+
+// تنظیمات کاربر به صورت رمزنگاری شده (AES-256-GCM) در لینک نصب قرار می‌گیرد
+// قالب توکن: v1.<keyId>.<base64url(iv + tag + ciphertext)>
+const VERSION = "v1";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// CONFIG_SECRET کلید فعلی است و CONFIG_OLD_SECRETS (جدا شده با کاما) کلیدهای قبلی
+// که فقط برای باز کردن لینک‌های قدیمی استفاده می‌شوند
+function loadKeys() {
+  const secrets = [
+    process.env.CONFIG_SECRET,
+    ...(process.env.CONFIG_OLD_SECRETS || "").split(","),
+  ]
+    .map((s) => (s || "").trim())
+    .filter(Boolean);
+
+  return secrets.map((secret) => ({
+    id: crypto.createHash("sha256").update(secret).digest("hex").slice(0, 8),
+    key: Buffer.from(
+      crypto.hkdfSync("sha256", secret, "", "digimovie-addon-config", 32)
+    ),
+  }));
+}
+
+let keys = null;
+function getKeys() {
+  if (!keys) keys = loadKeys();
+  return keys;
+}
+
+export function canSeal() {
+  return getKeys().length > 0;
+}
+
+export function isSealed(token) {
+  return typeof token === "string" && token.startsWith(`${VERSION}.`);
+}
+
+export function sealConfig(config) {
+  const [current] = getKeys();
+  if (!current) throw new Error("CONFIG_SECRET is not set");
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv("aes-256-gcm", current.key, iv);
+  // شناسه کلید به عنوان AAD تا جابجایی آن باعث خطا شود
+  cipher.setAAD(Buffer.from(current.id));
+  const encrypted = Buffer.concat([
+    cipher.update(JSON.stringify(config), "utf-8"),
+    cipher.final(),
+  ]);
+  const payload = Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+
+  return `${VERSION}.${current.id}.${payload.toString("base64url")}`;
+}
+
+export function unsealConfig(token) {
+  const [version, keyId, data] = token.split(".");
+  if (version !== VERSION || !keyId || !data) {
+    throw new Error("Malformed sealed config");
+  }
+
+  const entry = getKeys().find((k) => k.id === keyId);
+  if (!entry) throw new Error(`Unknown config key: ${keyId}`);
+
+  const payload = Buffer.from(data, "base64url");
+  const iv = payload.subarray(0, IV_LENGTH);
+  const tag = payload.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const encrypted = payload.subarray(IV_LENGTH + TAG_LENGTH);
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", entry.key, iv);
+  decipher.setAAD(Buffer.from(keyId));
+  decipher.setAuthTag(tag);
+  const decrypted = Buffer.concat([
+    decipher.update(encrypted),
+    decipher.final(),
+  ]);
+
+  return JSON.parse(decrypted.toString("utf-8"));
+}
+
+// قالب قدیمی: JSON ساده با base64
+export function decodeLegacyConfig(token) {
+  return JSON.parse(Buffer.from(token, "base64").toString("utf-8"));
+}
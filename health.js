@@ -0,0 +1,120 @@
+import Axios from "axios";
+
+// نتیجه بررسی دسترسی سرویس‌های خارجی مدتی نگه داشته می‌شود تا هر درخواست orchestrator به آن‌ها درخواست نزند
+const PROBE_CACHE_TTL = 30 * 1000;
+const PROBE_TIMEOUT = 5000;
+
+// بررسی سلامت سرور برای /health/live و /health/ready
+export default class HealthCheck {
+  probes = new Map();
+
+  constructor({
+    sources = [],
+    proxyEnabled = false,
+    logger = console,
+    cacheTtl = PROBE_CACHE_TTL,
+  } = {}) {
+    this.sources = sources;
+    this.proxyEnabled = proxyEnabled;
+    this.logger = logger;
+    this.cacheTtl = cacheTtl;
+  }
+
+  // متغیرهای محیطی لازم؛ خروجی فهرست خطاهاست
+  checkEnv() {
+    const errors = [];
+
+    for (const SourceClass of this.sources) {
+      if (!process.env[SourceClass.baseURLEnv]) {
+        errors.push(`${SourceClass.baseURLEnv} is not set`);
+      }
+    }
+
+    if (this.proxyEnabled) {
+      for (const name of ["PROXY_URL", "PROXY_PATH", "PROXY_SECRET"]) {
+        if (!process.env[name]) errors.push(`${name} is not set`);
+      }
+    }
+
+    for (const name of ["PORT", "PROVIDER_TIMEOUT", "CACHE_MAX_ENTRIES"]) {
+      const value = process.env[name];
+      if (value && !(Number(value) > 0)) {
+        errors.push(`${name} must be a positive number`);
+      }
+    }
+
+    return errors;
+  }
+
+  // به طور پیش‌فرض هر پاسخ HTTP (حتی 4xx) یعنی سرویس در دسترس است
+  async probe(name, url, isHealthy = (status) => status < 500) {
+    const cached = this.probes.get(name);
+    if (cached && Date.now() - cached.checkedAt < this.cacheTtl) {
+      return cached.result;
+    }
+    if (cached?.pending) return cached.pending;
+
+    const pending = (async () => {
+      const start = Date.now();
+      try {
+        const res = await Axios.request({
+          url,
+          method: "get",
+          timeout: PROBE_TIMEOUT,
+          maxRedirects: 0,
+          validateStatus: () => true,
+        });
+        return {
+          status: isHealthy(res.status) ? "ok" : "fail",
+          httpStatus: res.status,
+          latency: Date.now() - start,
+        };
+      } catch (e) {
+        this.logger.warn(`Health probe ${name} failed: ${e.message}`);
+        return { status: "fail", error: e.code || e.message };
+      }
+    })();
+
+    this.probes.set(name, { ...cached, pending });
+    const result = await pending;
+    this.probes.set(name, { result, checkedAt: Date.now() });
+    return result;
+  }
+
+  async readiness() {
+    const envErrors = this.checkEnv();
+    const checks = {
+      env: envErrors.length
+        ? { status: "fail", errors: envErrors }
+        : { status: "ok" },
+    };
+
+    const targets = [
+      ["cinemeta", "https://v3-cinemeta.strem.io/manifest.json"],
+    ];
+    for (const SourceClass of this.sources) {
+      const baseURL = process.env[SourceClass.baseURLEnv];
+      if (baseURL) targets.push([SourceClass.id, `https://${baseURL}`]);
+    }
+    // سرور پروکسی باید مسیر سلامت خودش را با 200 جواب دهد، وگرنه PROXY_URL اشتباه است
+    if (this.proxyEnabled && process.env.PROXY_URL) {
+      targets.push([
+        "proxy",
+        `${process.env.PROXY_URL}/${process.env.PROXY_PATH}/health`,
+        (status) => status === 200,
+      ]);
+    }
+
+    const results = await Promise.all(
+      targets.map(([name, url, isHealthy]) => this.probe(name, url, isHealthy))
+    );
+    targets.forEach(([name], i) => (checks[name] = results[i]));
+
+    const ready = Object.values(checks).every((c) => c.status === "ok");
+    return { status: ready ? "ok" : "fail", checks };
+  }
+
+  liveness() {
+    return { status: "ok", uptime: Math.round(process.uptime()) };
+  }
+}
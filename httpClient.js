@@ -0,0 +1,214 @@
+import Axios from "axios";
+import { upstreamRequests } from "./metrics.js";
+
+const DEFAULTS = {
+  timeout: 10000,
+  retries: 2,
+  retryDelay: 300,
+  // بیشترین انتظار قابل قبول برای Retry-After؛ انتظار بیشتر یعنی تلاش دوباره بی‌فایده است
+  maxRetryAfter: 10000,
+  maxConcurrency: Number(process.env.HTTP_MAX_CONCURRENCY) || 6,
+  failureThreshold: Number(process.env.HTTP_CIRCUIT_THRESHOLD) || 5,
+  cooldown: Number(process.env.HTTP_CIRCUIT_COOLDOWN) || 30000,
+};
+
+// کدهای شبکه‌ای که ارزش تلاش دوباره دارند
+const RETRYABLE_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "ECONNABORTED",
+  "EAI_AGAIN",
+  "EPIPE",
+];
+
+export class CircuitOpenError extends Error {
+  constructor(host) {
+    super(`Circuit open for ${host}, failing fast`);
+    this.name = "CircuitOpenError";
+    this.code = "CIRCUIT_OPEN";
+    this.host = host;
+  }
+}
+
+// 429 (محدودیت نرخ) تکرار می‌شود مگر درخواستی که محدودیت حساب را خودش مدیریت می‌کند retryOn429: false بدهد
+function isRetryable(error, { retryOn429 = true } = {}) {
+  const status = error.response?.status;
+  if (status === 429) return retryOn429;
+  if (status) return status >= 500;
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// هدر Retry-After به میلی‌ثانیه (ثانیه یا تاریخ HTTP)؛ null اگر نباشد یا قابل خواندن نباشد
+function retryAfterMs(error) {
+  const header = error.response?.headers?.["retry-after"];
+  if (!header) return null;
+  if (/^\d+$/.test(String(header).trim())) return Number(header) * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// وضعیت هر میزبان: تعداد درخواست‌های هم‌زمان، صف انتظار و circuit breaker
+class HostState {
+  active = 0;
+  queue = [];
+  failures = 0;
+  openedAt = 0;
+  probing = false;
+  // آخرین درخواست بدون پاسخ از سرور تمام شده است (DNS، اتصال، گواهی، timeout)
+  unreachable = false;
+
+  constructor(host, options) {
+    this.host = host;
+    this.options = options;
+  }
+
+  // closed: عادی، open: همه درخواست‌ها رد می‌شوند، half-open: یک درخواست آزمایشی
+  get state() {
+    if (!this.openedAt) return "closed";
+    if (Date.now() - this.openedAt < this.options.cooldown) return "open";
+    return "half-open";
+  }
+
+  // true وقتی این درخواست، درخواست آزمایشی حالت half-open است
+  checkCircuit() {
+    const state = this.state;
+    if (state === "open" || (state === "half-open" && this.probing)) {
+      throw new CircuitOpenError(this.host);
+    }
+    if (state === "half-open") this.probing = true;
+    return state === "half-open";
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = 0;
+    this.unreachable = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.unreachable = true;
+    if (this.openedAt || this.failures >= this.options.failureThreshold) {
+      this.openedAt = Date.now();
+    }
+  }
+
+  async acquire() {
+    if (this.active < this.options.maxConcurrency) {
+      this.active++;
+      return;
+    }
+    await new Promise((resolve) => this.queue.push(resolve));
+  }
+
+  release() {
+    const next = this.queue.shift();
+    if (next) next();
+    else this.active--;
+  }
+}
+
+// لایه مشترک درخواست‌های خروجی (دیجی‌مووی، Cinemeta، TMDB و ...)
+export default class HttpClient {
+  hosts = new Map();
+
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+  }
+
+  hostState(url) {
+    const host = new URL(url).host;
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, new HostState(host, this.options));
+    }
+    return this.hosts.get(host);
+  }
+
+  isAvailable(url) {
+    return this.hostState(url).state !== "open";
+  }
+
+  // false وقتی circuit باز است یا آخرین درخواست به میزبان اصلاً پاسخی نگرفته است
+  isReachable(url) {
+    const host = this.hostState(url);
+    return host.state !== "open" && !host.unreachable;
+  }
+
+  // config همان تنظیمات Axios است؛ options: timeout، retries و retryOn429 برای هر endpoint
+  async request(config, { timeout, retries, retryOn429 } = {}) {
+    const host = this.hostState(config.url);
+    const maxRetries = retries ?? this.options.retries;
+
+    let probe = false;
+    try {
+      probe = host.checkCircuit();
+    } catch (error) {
+      upstreamRequests.inc({ host: host.host, result: "circuit_open" });
+      throw error;
+    }
+
+    try {
+      return await this.send(host, config, {
+        timeout,
+        maxRetries,
+        retryOn429,
+      });
+    } finally {
+      // درخواست آزمایشی با هر نتیجه‌ای (حتی خطای غیرمنتظره) قفل half-open را آزاد می‌کند
+      if (probe) host.probing = false;
+    }
+  }
+
+  async send(host, config, { timeout, maxRetries, retryOn429 }) {
+    for (let attempt = 0; ; attempt++) {
+      let delay;
+      await host.acquire();
+
+      try {
+        const res = await Axios.request({
+          ...config,
+          timeout: timeout ?? config.timeout ?? this.options.timeout,
+        });
+        host.recordSuccess();
+        upstreamRequests.inc({ host: host.host, result: "success" });
+        return res;
+      } catch (error) {
+        delay = this.retryDelay(error, attempt, retryOn429);
+        if (delay === null || attempt >= maxRetries) {
+          // پاسخ 4xx (از جمله 429) یعنی سرور در دسترس است؛ 5xx و خطای بدون پاسخ (ENOTFOUND، گواهی و ...) خرابی حساب می‌شود
+          const clientError = error.response?.status < 500;
+          if (clientError) host.recordSuccess();
+          else host.recordFailure();
+          upstreamRequests.inc({
+            host: host.host,
+            result: clientError ? "client_error" : "error",
+          });
+          throw error;
+        }
+      } finally {
+        host.release();
+      }
+
+      await sleep(delay);
+    }
+  }
+
+  // زمان انتظار پیش از تلاش بعدی یا null اگر خطا تکرار نشود
+  // Retry-After سرور رعایت می‌شود و اگر از maxRetryAfter بیشتر باشد تلاش دوباره انجام نمی‌شود
+  retryDelay(error, attempt, retryOn429) {
+    if (!isRetryable(error, { retryOn429 })) return null;
+    const retryAfter = retryAfterMs(error);
+    if (retryAfter !== null) {
+      return retryAfter <= this.options.maxRetryAfter ? retryAfter : null;
+    }
+    return (
+      this.options.retryDelay * 2 ** attempt +
+      Math.floor(Math.random() * this.options.retryDelay)
+    );
+  }
+}
+
+export const http = new HttpClient();
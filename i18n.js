@@ -0,0 +1,171 @@
+// پیام‌های قابل نمایش به کاربر (manifest و نام کاتالوگ‌ها، لینک‌های خطا، برچسب استریم‌ها و صفحه تنظیمات)
+// زبان در تنظیمات کاربر (lang) ذخیره می‌شود؛ کلیدهای page.* برای صفحه تنظیمات از /locales/<lang>.json ارسال می‌شوند
+export const LANGUAGES = ["fa", "en"];
+export const DEFAULT_LANGUAGE = "fa";
+
+const MESSAGES = {
+  fa: {
+    "manifest.description":
+      "دسترسی به آرشیو فیلم و سریال دیجی‌موویز. برای اتصال حساب اشتراکی خود، دکمه پیکربندی را انتخاب کنید.",
+    "manifest.connected": "حساب کاربری شما با موفقیت متصل شد.",
+    "manifest.daysLeft": "{days} روز از اشتراک {provider} باقی مانده است.",
+    "manifest.expired": "اشتراک {provider} به پایان رسیده است.",
+
+    "catalog.latestMovies": "DigiMoviez - جدیدترین فیلم‌ها",
+    "catalog.latestSeries": "DigiMoviez - جدیدترین سریال‌ها",
+    "catalog.topImdbMovies": "DigiMoviez - برترین‌های IMDb",
+    "catalog.topImdbSeries": "DigiMoviez - سریال‌های برتر IMDb",
+    "catalog.dubbedMovies": "DigiMoviez - فیلم‌های دوبله فارسی",
+    "catalog.dubbedSeries": "DigiMoviez - سریال‌های دوبله فارسی",
+
+    "stream.configureFirst": "⚠️ لطفاً ابتدا تنظیمات را انجام دهید",
+    "stream.loginFailed":
+      "❌ خطا در ورود به {provider} (اطلاعات اکانت را بررسی کنید)",
+    "stream.unavailable":
+      "⚠️ {provider} در حال حاضر در دسترس نیست، کمی بعد دوباره تلاش کنید",
+    "stream.subscriptionExpired":
+      "⛔ اشتراک {provider} شما به پایان رسیده است؛ برای تماشا اشتراک خود را تمدید کنید",
+    "stream.accountLimited":
+      "⚠️ حساب‌های {provider} به محدودیت دستگاه یا پخش هم‌زمان رسیده‌اند",
+    "stream.account": "👤 {account}",
+    "stream.dubbed": "🎙 دوبله فارسی",
+    "stream.subbed": "💬 زیرنویس فارسی",
+    "stream.link": "لینک پخش",
+
+    "validate.missingCredentials": "نام کاربری و رمز عبور الزامی است.",
+    "validate.invalidCredentials":
+      "نام کاربری یا رمز عبور اشتباه است. ({providers})",
+    "validate.unavailable":
+      "ارتباط با {providers} برقرار نشد؛ کمی بعد دوباره تلاش کنید.",
+    "validate.serverError": "خطای داخلی سرور.",
+    "migrate.invalid": "تنظیمات نامعتبر است.",
+    listSeparator: "، ",
+
+    "page.title": "پیکربندی افزونه دیجی‌موویز",
+    "page.heading": "اتصال حساب دیجی‌موویز",
+    "page.subText": "برای دسترسی به آرشیو، لطفاً وارد حساب کاربری خود شوید.",
+    "page.language": "زبان",
+    "page.username": "نام کاربری یا ایمیل",
+    "page.password": "رمز عبور",
+    "page.addAccount": "+ افزودن حساب دیگر",
+    "page.removeAccount": "حذف",
+    "page.prefs": "تنظیمات پخش (اختیاری)",
+    "page.resolutions": "کیفیت‌های مجاز",
+    "page.encode": "انکود ترجیحی",
+    "page.noPreference": "بدون ترجیح",
+    "page.encodeX264": "x264 (سازگاری بیشتر)",
+    "page.encodeX265": "x265 (حجم کمتر)",
+    "page.audio": "زبان ترجیحی",
+    "page.dubbed": "دوبله فارسی",
+    "page.subbed": "زیرنویس فارسی",
+    "page.original": "زبان اصلی",
+    "page.maxSize": "حداکثر حجم فایل (گیگابایت)",
+    "page.maxStreams": "حداکثر تعداد لینک‌ها",
+    "page.submit": "تایید و ورود",
+    "page.checking": "در حال بررسی...",
+    "page.footer":
+      "اطلاعات شما به صورت امن و رمزنگاری شده فقط در لینک نصب استفاده می‌شود.",
+    "page.connected": "حساب متصل شد! 🎉",
+    "page.ready":
+      "افزونه آماده است. برای فعال‌سازی در استرمیو دکمه زیر را بزنید.",
+    "page.install": "نصب افزونه",
+    "page.logout": "خروج از حساب",
+    "page.enableOne": "حداقل یک منبع را فعال کنید.",
+    "page.connectionError": "خطای ارتباط با سرور ({status})",
+    "page.invalidCredentials": "نام کاربری یا رمز عبور صحیح نیست.",
+    "page.subscriptionExpired": "اشتراک به پایان رسیده است",
+    "page.subscriptionUntil": "تا {date} ({days} روز باقی مانده)",
+  },
+  en: {
+    "manifest.description":
+      "Watch the DigiMoviez movie and series archive. Press Configure to connect your subscription account.",
+    "manifest.connected": "Your account is connected.",
+    "manifest.daysLeft": "{days} days left on your {provider} subscription.",
+    "manifest.expired": "Your {provider} subscription has expired.",
+
+    "catalog.latestMovies": "DigiMoviez - Latest movies",
+    "catalog.latestSeries": "DigiMoviez - Latest series",
+    "catalog.topImdbMovies": "DigiMoviez - Top IMDb movies",
+    "catalog.topImdbSeries": "DigiMoviez - Top IMDb series",
+    "catalog.dubbedMovies": "DigiMoviez - Persian dubbed movies",
+    "catalog.dubbedSeries": "DigiMoviez - Persian dubbed series",
+
+    "stream.configureFirst": "⚠️ Please configure the addon first",
+    "stream.loginFailed":
+      "❌ Could not sign in to {provider} (check your account details)",
+    "stream.unavailable":
+      "⚠️ {provider} is currently unavailable, please try again later",
+    "stream.subscriptionExpired":
+      "⛔ Your {provider} subscription has expired; renew it to watch",
+    "stream.accountLimited":
+      "⚠️ Your {provider} accounts have reached their device or concurrent stream limit",
+    "stream.account": "👤 {account}",
+    "stream.dubbed": "🎙 Persian dub",
+    "stream.subbed": "💬 Persian subtitles",
+    "stream.link": "Stream",
+
+    "validate.missingCredentials": "Username and password are required.",
+    "validate.invalidCredentials": "Wrong username or password. ({providers})",
+    "validate.unavailable":
+      "Could not reach {providers}; please try again later.",
+    "validate.serverError": "Internal server error.",
+    "migrate.invalid": "Invalid configuration.",
+    listSeparator: ", ",
+
+    "page.title": "DigiMoviez addon configuration",
+    "page.heading": "Connect your DigiMoviez account",
+    "page.subText": "Sign in to your account to access the archive.",
+    "page.language": "Language",
+    "page.username": "Username or email",
+    "page.password": "Password",
+    "page.addAccount": "+ Add another account",
+    "page.removeAccount": "Remove",
+    "page.prefs": "Playback settings (optional)",
+    "page.resolutions": "Allowed qualities",
+    "page.encode": "Preferred encode",
+    "page.noPreference": "No preference",
+    "page.encodeX264": "x264 (better compatibility)",
+    "page.encodeX265": "x265 (smaller files)",
+    "page.audio": "Preferred audio",
+    "page.dubbed": "Persian dub",
+    "page.subbed": "Persian subtitles",
+    "page.original": "Original language",
+    "page.maxSize": "Maximum file size (GB)",
+    "page.maxStreams": "Maximum number of links",
+    "page.submit": "Confirm and sign in",
+    "page.checking": "Checking...",
+    "page.footer":
+      "Your details are encrypted and only stored inside your install link.",
+    "page.connected": "Account connected! 🎉",
+    "page.ready":
+      "The addon is ready. Press the button below to install it in Stremio.",
+    "page.install": "Install addon",
+    "page.logout": "Sign out",
+    "page.enableOne": "Enable at least one source.",
+    "page.connectionError": "Could not reach the server ({status})",
+    "page.invalidCredentials": "Wrong username or password.",
+    "page.subscriptionExpired": "subscription has expired",
+    "page.subscriptionUntil": "until {date} ({days} days left)",
+  },
+};
+
+export function getLanguage(lang) {
+  return LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE;
+}
+
+// پیام ترجمه شده با جایگزینی {name} از params؛ کلید ناموجود به زبان پیش‌فرض برمی‌گردد
+export function t(lang, key, params = {}) {
+  const message =
+    MESSAGES[getLanguage(lang)][key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? params[name] : match
+  );
+}
+
+// پیام‌های صفحه تنظیمات
+export function pageMessages(lang) {
+  const messages = MESSAGES[getLanguage(lang)];
+  return Object.fromEntries(
+    Object.entries(messages).filter(([key]) => key.startsWith("page."))
+  );
+}
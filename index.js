@@ -4,9 +4,51 @@ import winston from "winston";
 import path from "path";
 import { fileURLToPath } from "url";
 
-import { getCinemeta } from "./utils.js";
 import { errorHandler } from "./errorMiddleware.js";
 import Digimovie from "./sources/digimovie.js";
+import {
+  loadSources,
+  getSources,
+  getSource,
+  findSourceForId,
+  createSource,
+  getProviderConfigs,
+  getEnabledProviders,
+  getAccounts,
+} from "./sources/registry.js";
+import SessionManager from "./sessionManager.js";
+import Cache from "./cache.js";
+import StreamResolver from "./resolver.js";
+import MappingStore from "./mappingStore.js";
+import HealthCheck from "./health.js";
+import CatalogIndexer from "./indexer.js";
+import LinkProber from "./linkProbe.js";
+import { describeSubscription } from "./subscription.js";
+import { withTimeout } from "./utils.js";
+import { getLanguage, pageMessages, t } from "./i18n.js";
+import { registry, metricsMiddleware, streamsReturned } from "./metrics.js";
+import {
+  buildProxyUrl,
+  canSignProxyUrls,
+  signProxyToken,
+} from "./proxySigner.js";
+import { toStremioStream } from "./streamInfo.js";
+import { applyPreferences, normalizePreferences } from "./preferences.js";
+import {
+  canSeal,
+  isSealed,
+  sealConfig,
+  unsealConfig,
+  decodeLegacyConfig,
+} from "./configSeal.js";
+import {
+  getCatalogManifest,
+  findCatalog,
+  parseExtra,
+  buildCatalogQuery,
+  normalizeSearchQuery,
+  SEARCH_CATALOG_ID,
+} from "./catalogs.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,98 +68,333 @@ const logger = winston.createLogger({
 
 const addon = express();
 addon.use(cors());
+addon.use(metricsMiddleware);
 addon.use(express.json());
 addon.use(errorHandler);
 
 const PORT = process.env.PORT || 7001;
 
+const sessions = new SessionManager(logger);
+
+const cache = new Cache({
+  maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 1000,
+  filePath: process.env.CACHE_FILE || null,
+  logger,
+});
+
+// عنوان‌های شناخته شده هر شناسه برای زمان قطعی Cinemeta و TMDB، جدا از کش اصلی
+const titles = new Cache({
+  maxEntries: Number(process.env.TITLES_MAX_ENTRIES) || 20000,
+  filePath:
+    process.env.TITLES_FILE || path.join(__dirname, "data", "titles.json"),
+  logger,
+});
+
+const mappings = new MappingStore(
+  process.env.MAPPING_FILE || path.join(__dirname, "data", "mappings.json"),
+  logger
+);
+
+const resolver = new StreamResolver(logger, cache, sessions, mappings, titles);
+
+await loadSources(logger);
+
+// ایندکسر پس‌زمینه IMDb (اختیاری)؛ برای خواندن جزئیات آثار یک حساب دیجی‌مووی لازم است
+let indexer = null;
+if (process.env.INDEXER_ENABLE === "true") {
+  const username = process.env.INDEXER_USERNAME;
+  const password = process.env.INDEXER_PASSWORD;
+  if (!username || !password) {
+    logger.error("INDEXER_USERNAME and INDEXER_PASSWORD are required");
+  } else {
+    indexer = new CatalogIndexer({
+      source: createSource(Digimovie, logger, { username, password }),
+      sessions,
+      mappings,
+      logger,
+      filePath:
+        process.env.INDEXER_STATE_FILE ||
+        path.join(__dirname, "data", "indexer.json"),
+      throttle: Number(process.env.INDEXER_THROTTLE) || undefined,
+      interval: Number(process.env.INDEXER_INTERVAL) || undefined,
+    });
+    indexer.start();
+  }
+}
+
+// لینک‌های پروکسی فقط با PROXY_SECRET امضا و ساخته می‌شوند
+// با PROXY_ENABLE=auto فقط لینک‌هایی که بررسی لینک (PROBE_LINKS) نیازمند پروکسی تشخیص داده از آن عبور می‌کنند
+const proxyAuto = process.env.PROXY_ENABLE === "auto";
+const proxyRequested =
+  process.env.PROXY_ENABLE === "true" ||
+  process.env.PROXY_ENABLE === "1" ||
+  proxyAuto;
+const proxyEnabled = proxyRequested && canSignProxyUrls();
+
+if (proxyRequested && !proxyEnabled) {
+  logger.error("PROXY_SECRET is not set, proxy links are disabled!");
+}
+
+const health = new HealthCheck({
+  sources: getSources(),
+  proxyEnabled: proxyRequested,
+  logger,
+});
+
+// بررسی زنده بودن و حجم واقعی لینک‌ها پیش از ارسال (اختیاری)
+const prober =
+  process.env.PROBE_LINKS === "true"
+    ? new LinkProber({
+        cache,
+        logger,
+        budget: Number(process.env.PROBE_BUDGET) || undefined,
+      })
+    : null;
+
+// حداکثر زمان انتظار برای هر منبع در درخواست استریم
+const PROVIDER_TIMEOUT = Number(process.env.PROVIDER_TIMEOUT) || 15000;
+
+// احراز هویت مسیرهای مدیریتی با هدر Authorization: Bearer <ADMIN_TOKEN>
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken || req.get("authorization") !== `Bearer ${adminToken}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+}
+
+// لینک‌های قدیمی (base64 ساده) تا زمانی که LEGACY_CONFIG=false نشده پذیرفته می‌شوند
+const legacyConfigAllowed = process.env.LEGACY_CONFIG !== "false";
+
+if (!canSeal()) {
+  logger.warn(
+    "CONFIG_SECRET is not set, install links will carry plain base64 credentials!"
+  );
+}
+
 function parseConfig(configStr) {
   try {
     if (!configStr) return null;
-    const decoded = Buffer.from(configStr, "base64").toString("utf-8");
-    return JSON.parse(decoded);
+    if (isSealed(configStr)) return unsealConfig(configStr);
+    if (!legacyConfigAllowed) {
+      logger.warn("Rejected legacy config, reconfigure is required");
+      return null;
+    }
+    return decodeLegacyConfig(configStr);
   } catch (e) {
     logger.error(`Error parsing config: ${e.message}`);
     return null;
   }
 }
 
-// --- تغییر مهم: نرمال‌سازی پیشرفته ---
-function normalizeTitle(str) {
-  if (!str) return "";
-  return str
-    .toLowerCase()
-    .replace(/&/g, "and") // تبدیل & به and
-    .replace(/^the\s+/i, "") // حذف the از اول جمله
-    .replace(/^a\s+/i, "") // حذف a از اول جمله
-    .replace(/^an\s+/i, "") // حذف an از اول جمله
-    .replace(/[:\-\.]/g, " ") // حذف علائم نگارشی
-    .replace(/\s+/g, " ") // حذف فاصله‌های اضافه
-    .trim();
+// در صورت نبود CONFIG_SECRET همان قالب قدیمی ساخته می‌شود
+function encodeConfig(config) {
+  if (canSeal()) return sealConfig(config);
+  return Buffer.from(JSON.stringify(config)).toString("base64");
 }
 
 addon.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "config_page.html"));
 });
 
+// مسیرهای سلامت قبل از مسیرهای /:config? ثبت می‌شوند
+addon.get("/health", (req, res) => res.send("OK"));
+
+addon.get("/health/live", (req, res) => res.json(health.liveness()));
+
+addon.get("/health/ready", async (req, res) => {
+  const result = await health.readiness();
+  res.status(result.status === "ok" ? 200 : 503).json(result);
+});
+
+// فهرست منابع برای ساخت فرم صفحه تنظیمات
+addon.get("/providers.json", (req, res) => {
+  res.json(
+    getSources().map((SourceClass) => ({
+      id: SourceClass.id,
+      name: SourceClass.displayName,
+      credentials: SourceClass.credentials,
+    }))
+  );
+});
+
+// پیام‌های صفحه تنظیمات به زبان انتخاب شده
+addon.get("/locales/:lang.json", (req, res) => {
+  res.json(pageMessages(req.params.lang));
+});
+
 addon.post("/validate", async (req, res) => {
   logger.debug("Validation request received.");
-  const { digiUser, digiPass } = req.body;
+  const { prefs } = req.body;
+  const lang = getLanguage(req.body.lang);
+  // فرم قدیمی فقط digiUser و digiPass می‌فرستاد
+  const providers = getProviderConfigs(req.body);
+  const enabled = getEnabledProviders({ providers });
 
-  if (!digiUser || !digiPass) {
+  if (enabled.length === 0) {
     return res.status(400).json({
       success: false,
-      message: "نام کاربری و رمز عبور الزامی است.",
+      message: t(lang, "validate.missingCredentials"),
     });
   }
 
-  const digi = new Digimovie(
-    process.env.DIGIMOVIE_BASEURL,
-    logger,
-    digiUser,
-    digiPass
-  );
-
   try {
-    const loginResult = await digi.login();
-    if (loginResult === true) {
-      return res.json({ success: true });
+    // همه حساب‌های هر منبع بررسی می‌شوند
+    const accounts = enabled.flatMap(({ SourceClass, accounts }) =>
+      accounts.map((credentials) => ({
+        source: createSource(SourceClass, logger, credentials),
+        label: accountLabel(SourceClass, credentials, accounts.length),
+      }))
+    );
+    const results = await Promise.all(
+      accounts.map(({ source }) => sessions.login(source))
+    );
+
+    const failed = accounts.filter((account, i) => results[i] !== true);
+    // منبعی که پاسخ نمی‌دهد با رمز اشتباه اشتباه گرفته نمی‌شود
+    const unreachable = failed
+      .filter(({ source }) => !source.isReachable())
+      .map(({ label }) => label);
+    const subscriptions = accounts
+      .filter(({ source }, i) => results[i] === true && source.subscription)
+      .map(({ source, label }) => ({
+        provider: label,
+        account: source.username,
+        ...describeSubscription(source.subscription),
+      }));
+
+    if (failed.length === 0) {
+      return res.json({
+        success: true,
+        config: encodeConfig({
+          providers,
+          prefs: normalizePreferences(prefs),
+          lang,
+        }),
+        subscriptions,
+      });
+    } else if (unreachable.length) {
+      return res.json({
+        success: false,
+        message: t(lang, "validate.unavailable", {
+          providers: unreachable.join(t(lang, "listSeparator")),
+        }),
+      });
     } else {
       return res.json({
         success: false,
-        message: "نام کاربری یا رمز عبور اشتباه است.",
+        message: t(lang, "validate.invalidCredentials", {
+          providers: failed
+            .map(({ label }) => label)
+            .join(t(lang, "listSeparator")),
+        }),
       });
     }
   } catch (e) {
     logger.error(`Validation error: ${e.message}`);
     return res.status(500).json({
       success: false,
-      message: "خطای داخلی سرور.",
+      message: t(lang, "validate.serverError"),
+    });
+  }
+});
+
+// تبدیل لینک‌های نصب قدیمی به قالب رمزنگاری شده
+addon.post("/migrate", (req, res) => {
+  const { config } = req.body;
+  if (!config || isSealed(config)) {
+    return res.json({ success: true, config });
+  }
+
+  const userConfig = parseConfig(config);
+  if (getEnabledProviders(userConfig).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: t(req.body.lang, "migrate.invalid"),
     });
   }
+
+  return res.json({
+    success: true,
+    config: encodeConfig({
+      providers: getProviderConfigs(userConfig),
+      prefs: userConfig.prefs,
+      lang: userConfig.lang,
+    }),
+  });
 });
 
 addon.get("/:config?/configure", (req, res) => {
   res.sendFile(path.join(__dirname, "config_page.html"));
 });
 
-addon.get("/:config?/manifest.json", function (req, res) {
+// نام منبع و در صورت وجود چند حساب، نام کاربری حساب
+function accountLabel(SourceClass, credentials, count) {
+  return count > 1
+    ? `${SourceClass.displayName} (${credentials.username})`
+    : SourceClass.displayName;
+}
+
+// خلاصه اشتراک حساب‌های کاربر برای توضیحات manifest (از نشست‌های کش شده)
+async function subscriptionSummary(config) {
+  const accounts = getEnabledProviders(config).flatMap(
+    ({ SourceClass, accounts }) =>
+      accounts.map((credentials) => ({
+        SourceClass,
+        credentials,
+        label: accountLabel(SourceClass, credentials, accounts.length),
+      }))
+  );
+  const lines = await Promise.all(
+    accounts.map(async ({ SourceClass, credentials, label }) => {
+      const source = createSource(SourceClass, logger, credentials);
+      try {
+        await withTimeout(sessions.login(source), 5000, SourceClass.id);
+      } catch (e) {
+        return null;
+      }
+      const status = describeSubscription(source.subscription);
+      if (!status || status.daysLeft === null) return null;
+      return t(
+        config.lang,
+        status.expired ? "manifest.expired" : "manifest.daysLeft",
+        {
+          provider: label,
+          days: status.daysLeft,
+        }
+      );
+    })
+  );
+  return lines.filter(Boolean).join(" ");
+}
+
+addon.get("/:config?/manifest.json", async function (req, res) {
   const config = parseConfig(req.params.config);
+  const sourcePrefixes = getSources().map(
+    (SourceClass) => SourceClass.id + SourceClass.idSeparator
+  );
+  const summary = config ? await subscriptionSummary(config) : "";
   const description = config
-    ? "حساب کاربری شما با موفقیت متصل شد."
-    : "دسترسی به آرشیو فیلم و سریال دیجی‌موویز. برای اتصال حساب اشتراکی خود، دکمه پیکربندی را انتخاب کنید.";
+    ? `${t(config.lang, "manifest.connected")} ${summary}`.trim()
+    : t(null, "manifest.description");
   const manifest = {
     id: "com.digimoviez.addon",
     version: "1.0.0",
     name: "DigiMoviez",
     description: description,
     logo: "https://raw.githubusercontent.com/younessaeedian/stremio-digimovie-addon/refs/heads/main/logo.png",
-    catalogs: [],
+    catalogs: getCatalogManifest(config?.lang),
     resources: [
+      "catalog",
+      {
+        name: "meta",
+        types: ["series", "movie"],
+        idPrefixes: sourcePrefixes,
+      },
       {
         name: "stream",
         types: ["series", "movie"],
-        idPrefixes: ["tt"],
+        idPrefixes: ["tt", ...sourcePrefixes],
       },
     ],
     types: ["movie", "series"],
@@ -129,135 +406,266 @@ addon.get("/:config?/manifest.json", function (req, res) {
   res.send(manifest);
 });
 
-// --- هندلر استریم ---
-addon.get("/:config/stream/:type/:id.json", async function (req, res) {
+// --- هندلر کاتالوگ ---
+async function catalogHandler(req, res) {
+  const { type, id, extra } = req.params;
+  logger.debug(`Received catalog request for: ${type} ${id} ${extra || ""}`);
+
+  const catalog = findCatalog(type, id);
+  if (!catalog) {
+    return res.send({ metas: [] });
+  }
+
+  const extraArgs = parseExtra(extra);
+
+  try {
+    // جستجوی پیشرفته نیازی به ورود ندارد
+    const digi = new Digimovie(process.env.DIGIMOVIE_BASEURL, logger);
+    let items;
+
+    if (catalog.id === SEARCH_CATALOG_ID) {
+      const query = normalizeSearchQuery(extraArgs.search);
+      if (!query) {
+        return res.send({ metas: [] });
+      }
+      const results = await resolver.search(digi, query);
+      items = results.filter((item) => item.type === type);
+    } else {
+      const { filters, page } = buildCatalogQuery(catalog, extraArgs);
+      items = await digi.getCatalog(filters, page);
+    }
+
+    const metas = items.map((item) => ({
+      id: digi.providerID + item.id,
+      type: item.type,
+      name: item.name,
+      poster: item.poster,
+      posterShape: "poster",
+    }));
+
+    return res.send({ metas, cacheMaxAge: 60 * 60 });
+  } catch (e) {
+    logger.error(`Catalog error: ${e.message}`);
+    // بدون cacheMaxAge تا استرمیو فهرست خالی یک قطعی کوتاه را کش نکند
+    return res.send({ metas: [] });
+  }
+}
+
+addon.get("/:config?/catalog/:type/:id.json", catalogHandler);
+addon.get("/:config?/catalog/:type/:id/:extra.json", catalogHandler);
+
+// --- هندلر متادیتا ---
+addon.get("/:config?/meta/:type/:id.json", async function (req, res) {
   const { type, id, config } = req.params;
-  logger.debug(`Received stream request for: ${type} ${id}`);
+  logger.debug(`Received meta request for: ${type} ${id}`);
 
-  const userConfig = parseConfig(config);
+  const SourceClass = findSourceForId(id);
+  if (!SourceClass) {
+    return res.send({ meta: null });
+  }
+
+  const [credentials] = getAccounts(
+    SourceClass,
+    getProviderConfigs(parseConfig(config))[SourceClass.id]
+  );
+  const source = createSource(SourceClass, logger, credentials);
+  const movieId = source.parseID(id);
+
+  try {
+    // بدون تنظیمات هم اطلاعات پایه قابل دریافت است
+    if (credentials) await sessions.login(source);
+
+    const movieData = await resolver.getMovieData(source, type, movieId);
+    if (!movieData) {
+      logger.warn(
+        `${SourceClass.displayName} detail not found for ID: ${movieId}`
+      );
+      return res.send({ meta: null });
+    }
 
-  if (!userConfig || !userConfig.digiUser || !userConfig.digiPass) {
     return res.send({
-      streams: [{ title: "⚠️ لطفاً ابتدا تنظیمات را انجام دهید", url: "" }],
+      meta: source.toMeta(type, movieId, movieData),
+      cacheMaxAge: 60 * 60,
     });
+  } catch (e) {
+    logger.error(`Meta error: ${e.message}`);
+    return res.send({ meta: null });
   }
+});
 
-  const imdbIdRaw = id.split(":")[0];
+// شناسه بومی یک منبع فقط به همان منبع مربوط است
+// خروجی برای هر منبع فهرست source حساب‌های آن به ترتیب اولویت است
+function createRequestSources(providers, id) {
+  const owner = findSourceForId(id);
+  return providers
+    .filter(({ SourceClass }) => !owner || owner === SourceClass)
+    .map(({ SourceClass, accounts }) =>
+      accounts.map((credentials) =>
+        createSource(SourceClass, logger, credentials)
+      )
+    );
+}
 
-  try {
-    const metaData = await getCinemeta(type, imdbIdRaw);
-    if (!metaData?.meta?.name) {
-      logger.warn(`Cinemeta metadata not found for ID: ${imdbIdRaw}`);
-      return res.send({ streams: [] });
-    }
+// --- مسیر بررسی تطبیق: همه تصمیم‌های هندلر استریم برای یک شناسه ---
+addon.get("/:config/debug/resolve/:type/:id.json", async function (req, res) {
+  const { type, id, config } = req.params;
+  logger.debug(`Received debug resolve request for: ${type} ${id}`);
+
+  const userConfig = parseConfig(config);
+  const providers = getEnabledProviders(userConfig);
 
-    const originalTitle = metaData.meta.name;
+  if (providers.length === 0) {
+    return res.status(400).json({ error: "Addon is not configured" });
+  }
 
-    // حذف سال برای جستجو
-    const searchTitle = originalTitle.replace(/\s*\(\d{4}\).*$/, "").trim();
-    // نرمال‌سازی برای مقایسه (حذف The و ...)
-    const normalizedSearchTitle = normalizeTitle(searchTitle);
+  // آدرس لینک‌ها ممکن است توکن داشته باشد، پس فقط اطلاعات آن‌ها برگردانده می‌شود
+  const summarize = (link) => ({
+    provider: link.provider,
+    account: link.account,
+    title: link.title,
+    ...link.info,
+  });
 
-    logger.info(
-      `Target: "${searchTitle}" (Norm: "${normalizedSearchTitle}") [${type}]`
+  try {
+    const traces = [];
+    const { links, errors } = await resolver.resolveAll(
+      createRequestSources(providers, id),
+      type,
+      id,
+      PROVIDER_TIMEOUT,
+      traces
     );
+    const filtered = applyPreferences(links, userConfig.prefs);
+
+    res.json({
+      type,
+      id,
+      prefs: userConfig.prefs || {},
+      providers: traces,
+      errors: errors.map((error) => t(userConfig.lang, error.key, error)),
+      linksBeforeFilter: links.map(summarize),
+      linksAfterFilter: filtered.map(summarize),
+    });
+  } catch (e) {
+    logger.error(`Debug resolve error: ${e.message}`);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    let allStreams = [];
+// --- هندلر استریم ---
+addon.get("/:config/stream/:type/:id.json", async function (req, res) {
+  const { type, id, config } = req.params;
+  logger.debug(`Received stream request for: ${type} ${id}`);
 
-    const digi = new Digimovie(
-      process.env.DIGIMOVIE_BASEURL,
-      logger,
-      userConfig.digiUser,
-      userConfig.digiPass
-    );
+  const userConfig = parseConfig(config);
+  const providers = getEnabledProviders(userConfig);
 
-    try {
-      const loggedIn = await digi.login();
-      if (!loggedIn) {
-        return res.send({
-          streams: [
-            { title: "❌ خطا در ورود (اطلاعات اکانت را بررسی کنید)", url: "" },
-          ],
-        });
-      }
+  const lang = userConfig?.lang;
 
-      const searchResults = await digi.search(searchTitle);
-      logger.debug(`Found ${searchResults.length} potential matches.`);
-
-      if (searchResults && searchResults.length > 0) {
-        // --- Scoring System ---
-        const scoredResults = searchResults.map((item) => {
-          let score = 0;
-
-          // نرمال‌سازی نام آیتم پیدا شده
-          const normalizedItemName = normalizeTitle(item.name);
-
-          // 1. Type Match (Critical)
-          if (item.type === type) {
-            score += 100;
-          } else {
-            score -= 50;
-          }
-
-          // 2. Name Match
-          if (normalizedItemName === normalizedSearchTitle) {
-            score += 60; // Exact match (ignoring "The", "&", etc.)
-          } else if (normalizedItemName.startsWith(normalizedSearchTitle)) {
-            score += 20; // Starts with
-          } else if (normalizedItemName.includes(normalizedSearchTitle)) {
-            score += 10; // Includes
-          }
-
-          // دیباگ برای دیدن امتیازدهی
-          // logger.debug(`Scoring "${item.name}" -> Norm: "${normalizedItemName}" = ${score}`);
-
-          return { ...item, score };
-        });
-
-        // Sort by score
-        scoredResults.sort((a, b) => b.score - a.score);
-
-        const bestMatch = scoredResults[0];
-
-        logger.info(`Winner: "${bestMatch.name}" (Score: ${bestMatch.score})`);
-
-        if (bestMatch.score > 0) {
-          const movieDetails = await digi.getMovieData(type, bestMatch.id);
-
-          if (movieDetails) {
-            const links = digi.getLinks(type, id, movieDetails);
-            links.forEach((link) => {
-              link.title = `[DigiMovie] ${link.title || "لینک پخش"}`;
-
-              if (
-                process.env.PROXY_ENABLE === "true" ||
-                process.env.PROXY_ENABLE === "1"
-              ) {
-                link.url = `${process.env.PROXY_URL}/${
-                  process.env.PROXY_PATH
-                }?url=${encodeURIComponent(link.url)}`;
-              }
-            });
-            allStreams.push(...links);
-          }
-        } else {
-          logger.warn(`No good match found. Best score was ${bestMatch.score}`);
-        }
-      } else {
-        logger.info(`No results found in provider for: "${searchTitle}"`);
+  if (providers.length === 0) {
+    return res.send({
+      streams: [{ title: t(lang, "stream.configureFirst"), url: "" }],
+    });
+  }
+
+  try {
+    const sources = createRequestSources(providers, id);
+    const { links: found, errors } = await resolver.resolveAll(
+      sources,
+      type,
+      id,
+      PROVIDER_TIMEOUT
+    );
+    // لینک‌های خراب قبل از اعمال ترجیحات حذف می‌شوند تا جای لینک سالم را در maxStreams نگیرند
+    const links = prober ? await prober.filter(found) : found;
+
+    const streams = applyPreferences(links, userConfig.prefs).map((link) => {
+      if (proxyEnabled && (!proxyAuto || link.needsProxy)) {
+        link.url = buildProxyUrl(
+          process.env.PROXY_URL,
+          signProxyToken(link.url),
+          link.info.filename
+        );
       }
-    } catch (err) {
-      logger.error(`Error processing stream provider: ${err.message}`);
-    }
+      return toStremioStream(link, link.provider, lang);
+    });
+    streamsReturned.observe(streams.length);
 
-    return res.send({ streams: allStreams });
+    const errorStreams = errors.map((error) => ({
+      title: t(lang, error.key, error),
+      url: "",
+    }));
+    return res.send({ streams: [...errorStreams, ...streams] });
   } catch (e) {
     logger.error(`Unexpected stream error: ${e.message}`);
     res.send({ streams: [] });
   }
 });
 
-addon.get("/health", (req, res) => res.send("OK"));
+// پاک کردن کش؛ بدون namespace کل کش و بدون key همه آیتم‌های آن نوع
+addon.delete("/cache/:namespace?/:key?", requireAdmin, (req, res) => {
+  const { namespace, key } = req.params;
+  const removed = key
+    ? Number(cache.invalidate(namespace, key))
+    : cache.clear(namespace);
+  logger.info(`Cache invalidated: ${namespace || "*"}/${key || "*"}`);
+  res.json({ removed });
+});
+
+// --- مدیریت نگاشت‌های IMDb ---
+addon.get("/admin/mappings", requireAdmin, (req, res) => {
+  const { provider, manual } = req.query;
+  res.json(
+    mappings.list({
+      provider,
+      manual: manual === undefined ? undefined : manual === "true",
+    })
+  );
+});
+
+addon.put("/admin/mappings/:provider/:imdbId", requireAdmin, (req, res) => {
+  const { provider, imdbId } = req.params;
+  const { movieId, type } = req.body;
+
+  if (!getSource(provider) || !/^tt\d+$/.test(imdbId) || !movieId) {
+    return res.status(400).json({
+      error: "A known provider, an IMDb ID and a movieId are required",
+    });
+  }
+
+  const mapping = mappings.pin(provider, imdbId, movieId, type);
+  logger.info(`Pinned mapping ${provider}:${imdbId} -> ${movieId}`);
+  res.json(mapping);
+});
+
+addon.delete("/admin/mappings/:provider/:imdbId", requireAdmin, (req, res) => {
+  const { provider, imdbId } = req.params;
+  const removed = mappings.remove(provider, imdbId);
+  logger.info(`Removed mapping ${provider}:${imdbId}`);
+  res.status(removed ? 200 : 404).json({ removed });
+});
+
+// وضعیت ایندکسر پس‌زمینه
+addon.get("/admin/indexer", requireAdmin, (req, res) => {
+  res.json(
+    indexer ? { enabled: true, ...indexer.status() } : { enabled: false }
+  );
+});
+
+// معیارهای Prometheus
+addon.get("/metrics", async (req, res) => {
+  res.set("Content-Type", registry.contentType);
+  res.send(await registry.metrics());
+});
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    cache.save();
+    titles.save();
+    indexer?.save();
+    process.exit(0);
+  });
+}
 
 addon.listen(PORT, function () {
   logger.info("---------------------------------------------------");
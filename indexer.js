@@ -0,0 +1,206 @@
+import fs from "fs";
+import path from "path";
+
+const DEFAULT_THROTTLE = 2000;
+const DEFAULT_INTERVAL = 6 * 60 * 60 * 1000;
+// بعد از این تعداد تلاش ناموفق، آیتم دیگر دوباره بررسی نمی‌شود
+const MAX_RETRIES = 3;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ایندکسر پس‌زمینه: همه آثار منبع را ورق می‌زند، شناسه IMDb هر کدام را از صفحه جزئیات
+// استخراج و در MappingStore ثبت می‌کند تا هندلر استریم به جای جستجوی عنوان فقط نگاشت را بخواند
+// اولین اجرا کل فهرست را می‌خواند (با ادامه از آخرین صفحه پس از ری‌استارت)
+// و اجراهای بعدی فقط صفحه‌های اول (جدیدترین‌ها) را تا رسیدن به آثار ایندکس شده می‌خوانند
+export default class CatalogIndexer {
+  running = false;
+  phase = "idle";
+  timer = null;
+
+  constructor({
+    source,
+    sessions,
+    mappings,
+    filePath,
+    logger = console,
+    throttle = DEFAULT_THROTTLE,
+    interval = DEFAULT_INTERVAL,
+  }) {
+    this.source = source;
+    this.sessions = sessions;
+    this.mappings = mappings;
+    this.filePath = filePath;
+    this.logger = logger;
+    this.throttle = throttle;
+    this.interval = interval;
+
+    this.state = {
+      fullScanDone: false,
+      page: 1,
+      seen: [],
+      retry: {},
+      indexed: 0,
+      lastRunAt: null,
+      lastError: null,
+    };
+    this.load();
+    this.seen = new Set(this.state.seen);
+  }
+
+  start() {
+    this.schedule(0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule(delay) {
+    this.stop();
+    this.timer = setTimeout(() => this.run(), delay);
+    this.timer.unref();
+    this.nextRunAt = new Date(Date.now() + delay).toISOString();
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+    this.state.lastError = null;
+
+    try {
+      if (!(await this.sessions.login(this.source))) {
+        throw new Error("Indexer account login failed");
+      }
+      await this.retryFailed();
+      await this.scan(this.state.fullScanDone ? "incremental" : "full");
+    } catch (e) {
+      this.logger.error(`Indexer error: ${e.message}`);
+      this.state.lastError = e.message;
+    } finally {
+      this.phase = "idle";
+      this.running = false;
+      this.state.lastRunAt = new Date().toISOString();
+      this.save();
+      this.schedule(this.interval);
+    }
+  }
+
+  async scan(phase) {
+    this.phase = phase;
+    let page = phase === "full" ? this.state.page : 1;
+    this.logger.info(`Indexer ${phase} scan from page ${page}`);
+
+    for (;;) {
+      this.currentPage = page;
+      const items = await this.source.listLatest(page);
+      if (items.length === 0) {
+        if (phase === "full") {
+          this.state.fullScanDone = true;
+          this.state.page = 1;
+        }
+        break;
+      }
+
+      let fresh = 0;
+      for (const item of items) {
+        if (this.seen.has(String(item.id))) continue;
+        fresh++;
+        await this.indexItem(item);
+        await sleep(this.throttle);
+      }
+
+      page++;
+      if (phase === "full") this.state.page = page;
+      this.mappings.save();
+      this.save();
+
+      // در حالت افزایشی یک صفحه بدون اثر جدید یعنی به بخش ایندکس شده رسیده‌ایم
+      if (phase === "incremental" && fresh === 0) break;
+    }
+
+    this.logger.info(`Indexer ${phase} scan finished at page ${page}`);
+  }
+
+  async indexItem(item) {
+    const id = String(item.id);
+    const details = await this.source.getMovieData(item.type, item.id);
+    if (!details) {
+      // خطای موقت؛ در اجرای بعدی دوباره بررسی می‌شود
+      const attempts = (this.state.retry[id]?.attempts || 0) + 1;
+      if (attempts < MAX_RETRIES) {
+        this.state.retry[id] = { type: item.type, attempts };
+        return;
+      }
+    } else {
+      const imdbId = this.source.extractImdbID(details);
+      if (imdbId) {
+        this.mappings.record(
+          this.source.constructor.id,
+          imdbId,
+          item.id,
+          item.type,
+          false
+        );
+        this.state.indexed++;
+      }
+    }
+
+    delete this.state.retry[id];
+    this.seen.add(id);
+  }
+
+  async retryFailed() {
+    const failed = Object.entries(this.state.retry);
+    if (failed.length === 0) return;
+
+    this.phase = "retry";
+    for (const [id, { type }] of failed) {
+      await this.indexItem({ id, type });
+      await sleep(this.throttle);
+    }
+    this.mappings.save();
+  }
+
+  status() {
+    return {
+      running: this.running,
+      phase: this.phase,
+      currentPage: this.running ? this.currentPage : null,
+      fullScanDone: this.state.fullScanDone,
+      resumePage: this.state.page,
+      seen: this.seen.size,
+      indexed: this.state.indexed,
+      pendingRetries: Object.keys(this.state.retry).length,
+      throttle: this.throttle,
+      lastRunAt: this.state.lastRunAt,
+      lastError: this.state.lastError,
+      nextRunAt: this.running ? null : this.nextRunAt,
+    };
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const saved = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+      this.state = { ...this.state, ...saved };
+      this.logger.info(
+        `Indexer resumed: ${this.state.seen.length} items seen, page ${this.state.page}`
+      );
+    } catch (e) {
+      this.logger.error(`Error loading indexer state: ${e.message}`);
+    }
+  }
+
+  save() {
+    try {
+      this.state.seen = [...this.seen];
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.state));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (e) {
+      this.logger.error(`Error saving indexer state: ${e.message}`);
+    }
+  }
+}
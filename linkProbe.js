@@ -0,0 +1,105 @@
+import Axios from "axios";
+
+// نتیجه بررسی هر آدرس کش می‌شود؛ لینک‌های خراب زودتر دوباره بررسی می‌شوند
+const ALIVE_TTL = 60 * 60 * 1000;
+const DEAD_TTL = 10 * 60 * 1000;
+
+// کدهایی که یعنی فایل واقعاً وجود ندارد؛ بقیه خطاها (timeout، 5xx) لینک را حذف نمی‌کنند
+const DEAD_STATUSES = [404, 410];
+const DEAD_CODES = ["ENOTFOUND", "ECONNREFUSED", "ERR_INVALID_URL"];
+
+// حجم کامل فایل از Content-Range (bytes 0-0/12345) یا Content-Length
+function contentSize(res) {
+  const range = /\/(\d+)$/.exec(res.headers["content-range"] || "");
+  if (range) return Number(range[1]);
+  const length = Number(res.headers["content-length"]);
+  return res.status === 200 && length > 0 ? length : null;
+}
+
+// بررسی زنده بودن لینک‌های پخش پیش از ارسال به استرمیو
+// خروجی هر بررسی: { status: alive | dead | unknown, size, needsProxy }
+export default class LinkProber {
+  constructor({ cache, logger = console, budget = 2500 }) {
+    this.cache = cache;
+    this.logger = logger;
+    this.budget = budget;
+  }
+
+  async request(method, url, headers = {}) {
+    return Axios.request({
+      url,
+      method,
+      headers,
+      timeout: this.budget,
+      maxRedirects: 5,
+      // بدنه دانلود نمی‌شود؛ در GET فقط یک بایت درخواست می‌شود
+      responseType: "stream",
+      validateStatus: () => true,
+    }).then((res) => {
+      res.data?.destroy?.();
+      return res;
+    });
+  }
+
+  async check(url) {
+    // لینک‌های http در پخش‌کننده‌های وب (mixed content) و بعضی اپراتورها باز نمی‌شوند
+    const needsProxy = url.startsWith("http://");
+    try {
+      let res = await this.request("head", url);
+      // بعضی سرورها HEAD را پشتیبانی نمی‌کنند یا حجم را فقط در پاسخ Range می‌دهند
+      if (res.status >= 400 || !contentSize(res)) {
+        res = await this.request("get", url, { Range: "bytes=0-0" });
+      }
+
+      if (DEAD_STATUSES.includes(res.status)) {
+        return { status: "dead", httpStatus: res.status };
+      }
+      if (res.status >= 200 && res.status < 300) {
+        return { status: "alive", size: contentSize(res), needsProxy };
+      }
+      return { status: "unknown", httpStatus: res.status, needsProxy };
+    } catch (e) {
+      if (DEAD_CODES.includes(e.code)) return { status: "dead", error: e.code };
+      return { status: "unknown", error: e.code || e.message, needsProxy };
+    }
+  }
+
+  async probe(url) {
+    const cached = this.cache.get("probe", url);
+    if (cached) return cached;
+
+    const result = await this.check(url);
+    if (result.status !== "unknown") {
+      const ttl = result.status === "dead" ? DEAD_TTL : ALIVE_TTL;
+      this.cache.set("probe", url, result, ttl);
+    }
+    return result;
+  }
+
+  // همه لینک‌ها هم‌زمان بررسی می‌شوند؛ لینک‌هایی که در زمان budget جواب ندهند حذف نمی‌شوند
+  async filter(links) {
+    let timer;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(resolve, this.budget + 200);
+    });
+
+    const results = await Promise.all(
+      links.map((link) =>
+        Promise.race([this.probe(link.url), deadline]).catch(() => undefined)
+      )
+    );
+    clearTimeout(timer);
+
+    return links.filter((link, i) => {
+      const result = results[i];
+      if (!result) return true;
+      if (result.status === "dead") {
+        this.logger.debug(`Dropping dead link ${link.url}`);
+        return false;
+      }
+      if (result.size) link.info.size = result.size;
+      if (result.needsProxy) link.needsProxy = true;
+      return true;
+    });
+  }
+}
@@ -0,0 +1,89 @@
+import fs from "fs";
+import path from "path";
+
+// نگاشت شناسه IMDb به شناسه هر منبع
+// نگاشت‌های خودکار از تطبیق‌های تایید شده با IMDb ثبت می‌شوند و نگاشت‌های دستی (pin) بر آن‌ها مقدم هستند
+export default class MappingStore {
+  mappings = new Map();
+
+  constructor(filePath, logger = console) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.load();
+  }
+
+  key(provider, imdbId) {
+    return `${provider}:${imdbId}`;
+  }
+
+  get(provider, imdbId) {
+    return this.mappings.get(this.key(provider, imdbId)) || null;
+  }
+
+  // ثبت خودکار؛ نگاشت دستی را بازنویسی نمی‌کند
+  // با persist=false فایل ذخیره نمی‌شود (ثبت دسته‌ای ایندکسر که در پایان save را صدا می‌زند)
+  record(provider, imdbId, movieId, type, persist = true) {
+    const existing = this.get(provider, imdbId);
+    if (existing?.manual || existing?.movieId === String(movieId)) return;
+    this.set(provider, imdbId, movieId, type, false, persist);
+  }
+
+  pin(provider, imdbId, movieId, type) {
+    return this.set(provider, imdbId, movieId, type, true);
+  }
+
+  remove(provider, imdbId) {
+    const removed = this.mappings.delete(this.key(provider, imdbId));
+    if (removed) this.save();
+    return removed;
+  }
+
+  list({ provider, manual } = {}) {
+    return [...this.mappings.values()].filter(
+      (m) =>
+        (!provider || m.provider === provider) &&
+        (manual === undefined || m.manual === manual)
+    );
+  }
+
+  set(provider, imdbId, movieId, type, manual, persist = true) {
+    const mapping = {
+      provider,
+      imdbId,
+      movieId: String(movieId),
+      type: type || null,
+      manual,
+      updatedAt: new Date().toISOString(),
+    };
+    this.mappings.set(this.key(provider, imdbId), mapping);
+    if (persist) this.save();
+    return mapping;
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const saved = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+      for (const mapping of saved) {
+        this.mappings.set(this.key(mapping.provider, mapping.imdbId), mapping);
+      }
+      this.logger.info(`Loaded ${this.mappings.size} IMDb mappings`);
+    } catch (e) {
+      this.logger.error(`Error loading mappings file: ${e.message}`);
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(
+        tmpPath,
+        JSON.stringify([...this.mappings.values()], null, 2)
+      );
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (e) {
+      this.logger.error(`Error saving mappings file: ${e.message}`);
+    }
+  }
+}
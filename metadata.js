@@ -0,0 +1,145 @@
+import { findTMDBByImdbId, getCinemeta } from "./utils.js";
+
+// حداکثر تعداد عنوان‌هایی که برای جستجو در منابع نگه داشته می‌شود
+const MAX_TITLES = 6;
+
+// کشورهایی که عنوان جایگزین آن‌ها احتمالاً در آرشیو منابع ثبت شده است
+const ALT_TITLE_COUNTRIES = ["US", "GB", "IR"];
+
+function yearOf(value) {
+  const year = parseInt(String(value || "").slice(0, 4));
+  return isNaN(year) ? null : year;
+}
+
+// سال پایان سریال از releaseInfo سینمتا: "2008–2013" → 2013، "2019" → 2019 و "2019–" (در حال پخش) → null
+function endYearOf(releaseInfo) {
+  const match = /^(\d{4})\s*(?:[–-]\s*(\d{4})?)?/.exec(
+    String(releaseInfo || "")
+  );
+  if (!match) return null;
+  if (match[2]) return parseInt(match[2]);
+  return /[–-]/.test(releaseInfo) ? null : parseInt(match[1]);
+}
+
+// اطلاعات یکسان از هر منبع: { name, year, yearEnd, titles, source }
+// yearEnd فقط برای سریال‌ها معنی دارد و null یعنی در حال پخش یا نامشخص
+// titles به ترتیب اولویت است: عنوان اصلی، عنوان زبان اصلی و عنوان‌های جایگزین
+function fromCinemeta(data) {
+  const meta = data?.meta;
+  if (!meta?.name) return null;
+  return {
+    name: meta.name,
+    year: yearOf(meta.releaseInfo || meta.year),
+    yearEnd: endYearOf(meta.releaseInfo),
+    titles: [meta.name],
+    source: "cinemeta",
+  };
+}
+
+function fromTMDB(data) {
+  const name = data?.title || data?.name;
+  if (!name) return null;
+
+  // فیلم‌ها titles و سریال‌ها results دارند
+  const alternatives =
+    data.alternative_titles?.titles || data.alternative_titles?.results || [];
+  const preferred = alternatives
+    .filter((alt) => ALT_TITLE_COUNTRIES.includes(alt.iso_3166_1))
+    .map((alt) => alt.title);
+
+  return {
+    name,
+    year: yearOf(data.release_date || data.first_air_date),
+    yearEnd: data.in_production ? null : yearOf(data.last_air_date),
+    titles: [name, data.original_title || data.original_name, ...preferred],
+    source: "tmdb",
+  };
+}
+
+function uniqueTitles(titles) {
+  const seen = new Set();
+  return titles.filter((title) => {
+    const normalized = title?.trim().toLowerCase();
+    if (!normalized || seen.has(normalized)) return false;
+    seen.add(normalized);
+    return true;
+  });
+}
+
+// زنجیره دریافت اطلاعات یک شناسه IMDb: Cinemeta، سپس TMDB (/find) و در نهایت کش محلی عنوان‌ها
+// TMDB فقط وقتی Cinemeta جواب نمی‌دهد یا جستجو با عنوان Cinemeta نتیجه نمی‌دهد (alternativeTitles) خوانده می‌شود
+// titles کش جدا و ماندگار عنوان‌هاست تا پاسخ‌های Cinemeta و جستجو در کش مشترک آن را بیرون نکنند
+export default class MetadataResolver {
+  constructor(logger, cache, titles) {
+    this.logger = logger;
+    this.cache = cache;
+    this.titles = titles;
+  }
+
+  getCinemeta(type, imdbId) {
+    return this.cache.wrap("cinemeta", `${type}:${imdbId}`, () =>
+      getCinemeta(type, imdbId)
+    );
+  }
+
+  getTMDB(type, imdbId) {
+    return this.cache.wrap("tmdb", `${type}:${imdbId}`, () =>
+      findTMDBByImdbId(imdbId, type)
+    );
+  }
+
+  async get(type, imdbId) {
+    const key = `${type}:${imdbId}`;
+    let metadata = fromCinemeta(await this.getCinemeta(type, imdbId));
+    if (!metadata) {
+      metadata = fromTMDB(await this.getTMDB(type, imdbId));
+      if (metadata) {
+        this.logger.warn(`Cinemeta unavailable for ${imdbId}, using TMDB`);
+      }
+    }
+
+    if (!metadata) {
+      const local = this.titles.get("titles", key);
+      if (local) {
+        this.logger.warn(`Using cached titles for ${imdbId}`);
+        return { ...local, source: "local" };
+      }
+      return null;
+    }
+
+    return this.remember(key, {
+      ...metadata,
+      titles: uniqueTitles(metadata.titles),
+    });
+  }
+
+  // عنوان‌های اصلی و جایگزین TMDB که در metadata نیستند؛ فقط وقتی جستجو با عنوان‌های اولیه بی‌نتیجه بوده
+  async alternativeTitles(type, imdbId, metadata) {
+    if (metadata.source !== "cinemeta") return [];
+
+    const tmdb = fromTMDB(await this.getTMDB(type, imdbId));
+    if (!tmdb) return [];
+
+    const titles = uniqueTitles([...metadata.titles, ...tmdb.titles]);
+    this.remember(`${type}:${imdbId}`, {
+      ...metadata,
+      year: metadata.year || tmdb.year,
+      titles,
+    });
+    return titles.slice(metadata.titles.length, MAX_TITLES);
+  }
+
+  // آخرین عنوان‌های شناخته شده برای زمانی که Cinemeta و TMDB در دسترس نیستند
+  // عنوان‌های جایگزینی که قبلاً ذخیره شده‌اند حفظ می‌شوند
+  remember(key, metadata) {
+    const previous = this.titles.get("titles", key)?.titles || [];
+    this.titles.set("titles", key, {
+      ...metadata,
+      titles: uniqueTitles([...metadata.titles, ...previous]).slice(
+        0,
+        MAX_TITLES
+      ),
+    });
+    return metadata;
+  }
+}
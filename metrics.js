@@ -0,0 +1,66 @@
+import client from "prom-client";
+
+// همه معیارها در یک registry جدا نگه داشته می‌شوند و در /metrics با قالب Prometheus ارائه می‌شوند
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+export const httpRequests = new client.Counter({
+  name: "addon_http_requests_total",
+  help: "HTTP requests handled, by route and status",
+  labelNames: ["method", "route", "status"],
+  registers: [registry],
+});
+
+export const httpDuration = new client.Histogram({
+  name: "addon_http_request_duration_seconds",
+  help: "HTTP request latency, by route",
+  labelNames: ["method", "route"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20],
+  registers: [registry],
+});
+
+export const logins = new client.Counter({
+  name: "addon_provider_logins_total",
+  help: "Provider login attempts, by result",
+  labelNames: ["provider", "result"],
+  registers: [registry],
+});
+
+export const matchOutcomes = new client.Counter({
+  name: "addon_match_outcomes_total",
+  help: "Stream resolution outcomes per provider (matched, no_results, low_score, ...)",
+  labelNames: ["provider", "outcome"],
+  registers: [registry],
+});
+
+export const streamsReturned = new client.Histogram({
+  name: "addon_streams_returned",
+  help: "Number of streams returned per stream request",
+  buckets: [0, 1, 2, 5, 10, 20, 50],
+  registers: [registry],
+});
+
+export const upstreamRequests = new client.Counter({
+  name: "addon_upstream_requests_total",
+  help: "Outbound requests per upstream host, by result",
+  labelNames: ["host", "result"],
+  registers: [registry],
+});
+
+export const cacheLookups = new client.Counter({
+  name: "addon_cache_lookups_total",
+  help: "Cache lookups per namespace, by result (hit/miss)",
+  labelNames: ["namespace", "result"],
+  registers: [registry],
+});
+
+// برچسب route الگوی مسیر است (مثل /:config/stream/:type/:id.json) تا تنظیمات کاربر در معیارها ثبت نشود
+export function metricsMiddleware(req, res, next) {
+  const end = httpDuration.startTimer();
+  res.on("finish", () => {
+    const route = req.route?.path || "unmatched";
+    end({ method: req.method, route });
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+}
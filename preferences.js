@@ -0,0 +1,71 @@
+// تنظیمات پخش هر کاربر: فیلتر و مرتب‌سازی لینک‌ها بر اساس کیفیت، انکود، حجم و زبان
+import { compareStreamInfo } from "./streamInfo.js";
+
+export const RESOLUTION_OPTIONS = ["2160p", "1080p", "720p", "480p"];
+export const ENCODE_OPTIONS = ["x264", "x265", "10bit"];
+export const AUDIO_OPTIONS = ["dubbed", "subbed", "original"];
+
+// مقادیر نامعتبر یا خالی حذف می‌شوند تا پیش‌فرض (بدون محدودیت) اعمال شود
+export function normalizePreferences(input) {
+  const prefs = input && typeof input === "object" ? input : {};
+  const normalized = {};
+
+  const resolutions = Array.isArray(prefs.resolutions)
+    ? prefs.resolutions.filter((r) => RESOLUTION_OPTIONS.includes(r))
+    : [];
+  // انتخاب همه کیفیت‌ها یعنی بدون محدودیت
+  if (resolutions.length && resolutions.length < RESOLUTION_OPTIONS.length) {
+    normalized.resolutions = resolutions;
+  }
+
+  if (ENCODE_OPTIONS.includes(prefs.encode)) normalized.encode = prefs.encode;
+  if (AUDIO_OPTIONS.includes(prefs.audio)) normalized.audio = prefs.audio;
+
+  const maxSizeGB = parseFloat(prefs.maxSizeGB);
+  if (maxSizeGB > 0) normalized.maxSizeGB = maxSizeGB;
+
+  const maxStreams = parseInt(prefs.maxStreams);
+  if (maxStreams > 0) normalized.maxStreams = maxStreams;
+
+  return normalized;
+}
+
+function matchesEncode(info, encode) {
+  if (encode === "10bit") return info.codec.includes("10bit");
+  return info.codec.startsWith(encode);
+}
+
+function matchesAudio(info, audio) {
+  if (audio === "dubbed") return info.dubbed;
+  if (audio === "subbed") return info.subbed && !info.dubbed;
+  return !info.dubbed;
+}
+
+// links خروجی getLinks است که هر کدام info دارند
+export function applyPreferences(links, prefs = {}) {
+  let result = links;
+
+  if (prefs.resolutions) {
+    // لینک‌هایی که کیفیتشان تشخیص داده نشد حذف نمی‌شوند
+    result = result.filter(
+      (l) => !l.info.resolution || prefs.resolutions.includes(l.info.resolution)
+    );
+  }
+
+  if (prefs.maxSizeGB) {
+    const maxBytes = prefs.maxSizeGB * 1024 ** 3;
+    result = result.filter((l) => !l.info.size || l.info.size <= maxBytes);
+  }
+
+  const rank = (info) =>
+    (prefs.audio && matchesAudio(info, prefs.audio) ? 2 : 0) +
+    (prefs.encode && matchesEncode(info, prefs.encode) ? 1 : 0);
+
+  result = [...result].sort(
+    (a, b) => rank(b.info) - rank(a.info) || compareStreamInfo(a.info, b.info)
+  );
+
+  if (prefs.maxStreams) result = result.slice(0, prefs.maxStreams);
+
+  return result;
+}
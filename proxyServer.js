@@ -2,24 +2,82 @@ import express from 'express';
 import axios from 'axios';
 import rateLimit from 'express-rate-limit';
 import { URL } from 'url';
+import { buildProxyUrl, canSignProxyUrls, signProxyToken, verifyProxyToken } from './proxySigner.js';
 
 const app = express();
 const port = Number(process.env.PROXY_PORT);
 
-// Rate limiting: 100 requests per 10 minutes
+if (!canSignProxyUrls()) {
+    console.error('PROXY_SECRET is required to verify signed proxy URLs');
+    process.exit(1);
+}
+
+// Rate limiting: 600 requests per 10 minutes for each signed token
+// Limits are keyed by the token (not the IP), because behind a CDN all users share the same IPs
 const limiter = rateLimit({
     windowMs: 10 * 60 * 1000,
     max: 600,
     message: 'Too many requests, please try again later.',
+    keyGenerator: (req) => req.proxyClaims.k,
 });
 
-
-// due to using CDN it will create bugs, because CDN IPs are same for all users
-// app.use(limiter);
+// Verifies the signed token and exposes its claims as req.proxyClaims
+function verifyToken(req, res, next) {
+    try {
+        req.proxyClaims = verifyProxyToken(req.params.token);
+        next();
+    } catch (error) {
+        console.error('Rejected proxy token:', error.message);
+        res.status(403).send('Invalid or expired link');
+    }
+}
 
 const ALLOWED_DOMAINS = process.env.PROXY_ALLOWED_URLS.split(","); // Add your allowed domains here
 
-const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB in bytes
+// Playlists are buffered to be rewritten, everything else is streamed
+const MAX_PLAYLIST_SIZE = 10 * 1024 * 1024; // 10MB in bytes
+
+// Response headers copied from the upstream to the client
+const FORWARDED_HEADERS = [
+    'content-type',
+    'content-length',
+    'content-range',
+    'accept-ranges',
+    'last-modified',
+    'etag',
+    'cache-control',
+];
+
+function isAllowedHost(hostname) {
+    return ALLOWED_DOMAINS.some((domain) => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+function isPlaylist(url, contentType = '') {
+    return /mpegurl/i.test(contentType) || new URL(url).pathname.toLowerCase().endsWith('.m3u8');
+}
+
+// Signed URL of the proxy endpoint for a target, used inside rewritten playlists
+// Child links inherit the expiry and rate-limit key of the playlist token
+function proxiedUrl(target, parent) {
+    return buildProxyUrl(process.env.PROXY_URL || '', signProxyToken(target, { parent }));
+}
+
+// Rewrites segment, variant and key URIs of an HLS playlist back through the proxy
+function rewritePlaylist(body, playlistUrl, claims) {
+    const resolve = (uri) => proxiedUrl(new URL(uri, playlistUrl).toString(), claims);
+
+    return body
+        .split(/\r?\n/)
+        .map((line) => {
+            const trimmed = line.trim();
+            if (!trimmed) return line;
+            if (trimmed.startsWith('#')) {
+                return line.replace(/URI="([^"]+)"/g, (_, uri) => `URI="${resolve(uri)}"`);
+            }
+            return resolve(trimmed);
+        })
+        .join('\n');
+}
 
 // Logging middleware
 app.use((req, res, next) => {
@@ -36,14 +94,12 @@ app.use((req, res, next) => {
     next();
 });
 
+// Used by the addon's readiness check, registered before the token route so it is not parsed as a token
+app.get(`/${process.env.PROXY_PATH}/health`, (req, res) => res.json({ status: 'ok' }));
 
-app.get(`/${process.env.PROXY_PATH}`, async (req, res) => {
-    const targetUrl = req.query.url;
-
-    if (!targetUrl) {
-        console.error('URL parameter is missing');
-        return res.status(400).send('URL parameter is required');
-    }
+// The optional filename segment only helps players detect the container
+app.get(`/${process.env.PROXY_PATH}/:token/:filename?`, verifyToken, limiter, async (req, res) => {
+    const targetUrl = req.proxyClaims.u;
 
     let targetDomain;
     try {
@@ -55,57 +111,99 @@ app.get(`/${process.env.PROXY_PATH}`, async (req, res) => {
     }
 
     // Check if the target domain is allowed
-    const isAllowed = ALLOWED_DOMAINS.some((domain) => targetDomain === domain || targetDomain.endsWith(`.${domain}`));
-    if (!isAllowed) {
+    if (!isAllowedHost(targetDomain)) {
         console.error(`Access denied for domain: ${targetDomain}`);
         return res.status(403).send('Access to the specified domain is not allowed');
     }
 
+    const headers = {};
+    if (req.headers.range) headers.range = req.headers.range;
+    if (req.headers['if-range']) headers['if-range'] = req.headers['if-range'];
+
+    let upstream;
     try {
-        const response = await axios({
+        upstream = await axios({
             method: 'get',
             url: targetUrl,
-            responseType: 'arraybuffer', // Download the file as a binary buffer
+            headers,
+            responseType: 'stream',
             maxRedirects: 5,
-            validateStatus: (status) => status >= 200 && status < 400,
+            // Every redirect hop must stay inside the allowlist
+            beforeRedirect: (options) => {
+                if (!isAllowedHost(options.hostname)) {
+                    const error = new Error(`Redirect to ${options.hostname} is not allowed`);
+                    error.code = 'REDIRECT_NOT_ALLOWED';
+                    throw error;
+                }
+            },
+            validateStatus: (status) => (status >= 200 && status < 300) || status === 416,
             timeout: 30000, // 30 seconds
         });
-
-        // Check if the final redirected URL is allowed
-        const finalUrl = response.request.res.responseUrl || targetUrl;
-        const finalUrlObj = new URL(finalUrl);
-        const finalHostname = finalUrlObj.hostname;
-
-        const isFinalAllowed = ALLOWED_DOMAINS.some((domain) => finalHostname === domain || finalHostname.endsWith(`.${domain}`));
-
-        if (!isFinalAllowed) {
-            console.error(`Access denied for redirected hostname: ${finalHostname}`);
+    } catch (error) {
+        // follow-redirects wraps errors thrown from beforeRedirect
+        if (error.code === 'REDIRECT_NOT_ALLOWED' || error.cause?.code === 'REDIRECT_NOT_ALLOWED') {
+            console.error(error.message);
             return res.status(403).send('Access to the redirected domain is not allowed');
         }
+        console.error('Error fetching the resource:', error.message, error.code || '');
+        return res.status(502).send('Error fetching the resource');
+    }
 
+    // Check if the final redirected URL is allowed
+    const finalUrl = upstream.request.res.responseUrl || targetUrl;
+    const finalHostname = new URL(finalUrl).hostname;
+    if (!isAllowedHost(finalHostname)) {
+        upstream.data.destroy();
+        console.error(`Access denied for redirected hostname: ${finalHostname}`);
+        return res.status(403).send('Access to the redirected domain is not allowed');
+    }
 
-        // Check the file size
-        const fileSize = response.data.length;
-        if (fileSize > MAX_FILE_SIZE) {
-            console.error(`File size exceeds limit: ${fileSize} bytes`);
-            return res.status(413).send('File size exceeds the allowed limit of 10MB');
-        }
-
-        res.set('Content-Type', response.headers['content-type']);
+    if (upstream.status !== 416 && isPlaylist(finalUrl, upstream.headers['content-type'])) {
+        return sendPlaylist(upstream, finalUrl, req.proxyClaims, res);
+    }
 
-        res.send(response.data);
-    } catch (error) {
-        console.error('Error details:', {
-            message: error.message,
-            code: error.code,
-            stack: error.stack,
-            config: error.config, // Axios request configuration
-        });
-        console.error('Error fetching the resource:', error.message);
-        res.status(500).send('Error fetching the resource');
+    res.status(upstream.status);
+    for (const name of FORWARDED_HEADERS) {
+        if (upstream.headers[name]) res.set(name, upstream.headers[name]);
+    }
+    if (!upstream.headers['accept-ranges'] && upstream.status === 206) {
+        res.set('accept-ranges', 'bytes');
     }
+
+    // Stop downloading from upstream when the player closes the connection (seeking)
+    res.on('close', () => upstream.data.destroy());
+    upstream.data.on('error', (error) => {
+        console.error('Upstream stream error:', error.message);
+        res.destroy(error);
+    });
+    upstream.data.pipe(res);
 });
 
+function sendPlaylist(upstream, playlistUrl, claims, res) {
+    const chunks = [];
+    let size = 0;
+
+    upstream.data.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_PLAYLIST_SIZE) {
+            upstream.data.destroy();
+            console.error(`Playlist size exceeds limit: ${size} bytes`);
+            if (!res.headersSent) res.status(413).send('Playlist size exceeds the allowed limit of 10MB');
+            return;
+        }
+        chunks.push(chunk);
+    });
+    upstream.data.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf-8');
+        res.set('Content-Type', 'application/vnd.apple.mpegurl');
+        res.send(rewritePlaylist(body, playlistUrl, claims));
+    });
+    upstream.data.on('error', (error) => {
+        console.error('Error reading playlist:', error.message);
+        if (!res.headersSent) res.status(502).send('Error fetching the resource');
+    });
+}
+
 app.listen(port, () => {
     console.log(`Proxy server is running on http://127.0.0.1:${port}`);
     return "0.0.0.0"
@@ -0,0 +1,65 @@
+import crypto from "crypto";
+
+// لینک‌های پروکسی امضا شده (HMAC) با زمان انقضا
+// قالب توکن: base64url(JSON claims).base64url(signature)
+// claims: u = آدرس مقصد، e = زمان انقضا (ثانیه)، k = کلید محدودیت نرخ (تصادفی برای هر توکن)
+// اتصال لینک به کاربر انجام نمی‌شود: درخواست‌های پخش‌کننده چیزی برای اثبات هویت کاربر همراه ندارند
+// و محدودیت زمان انقضا و نرخ هر توکن جلوی استفاده طولانی از لینک‌های منتشر شده را می‌گیرد
+const DEFAULT_TTL = 6 * 60 * 60; // ثانیه
+
+function getSecret() {
+  const secret = process.env.PROXY_SECRET;
+  if (!secret) throw new Error("PROXY_SECRET is not set");
+  return secret;
+}
+
+function sign(data) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(data)
+    .digest("base64url");
+}
+
+export function canSignProxyUrls() {
+  return !!process.env.PROXY_SECRET;
+}
+
+// claims والد (برای قطعه‌های HLS) زمان انقضا و کلید محدودیت را به ارث می‌دهند
+// تا همه قطعه‌های یک پخش زیر محدودیت همان توکن شمرده شوند
+export function signProxyToken(url, { ttl, parent } = {}) {
+  const lifetime = ttl || Number(process.env.PROXY_URL_TTL) || DEFAULT_TTL;
+  const claims = {
+    u: url,
+    e: parent?.e ?? Math.floor(Date.now() / 1000) + lifetime,
+    k: parent?.k ?? crypto.randomBytes(8).toString("base64url"),
+  };
+
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+}
+
+// claims را برمی‌گرداند یا در صورت نامعتبر/منقضی بودن خطا می‌دهد
+export function verifyProxyToken(token) {
+  const [payload, signature] = (token || "").split(".");
+  if (!payload || !signature) throw new Error("Malformed proxy token");
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw new Error("Invalid proxy token signature");
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  if (!claims.u || !claims.e || claims.e < Date.now() / 1000) {
+    throw new Error("Proxy token expired");
+  }
+  return claims;
+}
+
+export function buildProxyUrl(baseUrl, token, filename) {
+  const name = filename ? `/${encodeURIComponent(filename)}` : "";
+  return `${baseUrl}/${process.env.PROXY_PATH}/${token}${name}`;
+}
@@ -0,0 +1,401 @@
+import { withTimeout } from "./utils.js";
+import MetadataResolver from "./metadata.js";
+import { matchOutcomes } from "./metrics.js";
+import { isExpired } from "./subscription.js";
+import {
+  normalizeTitle,
+  titleSimilarity,
+  TITLE_MATCH_THRESHOLD,
+} from "./titleMatch.js";
+
+// تعداد نتایج برتر که اطلاعات کاملشان برای بررسی IMDb و سال گرفته می‌شود
+const MATCH_CANDIDATES = 5;
+// بیشترین امتیاز تطابق عنوان (شباهت 1)؛ در کنار امتیاز نوع (100) و سال (30+، یا 40- برای سریال)
+const TITLE_WEIGHT = 60;
+
+// سال داخل عنوان (مثل "Dune (2021)") در جستجوی منابع نتیجه نمی‌دهد
+function stripYear(title) {
+  return title.replace(/\s*\(\d{4}\).*$/, "").trim();
+}
+
+// نتیجه‌هایی که به حساب مربوط است و با حساب بعدی همان منبع ممکن است برطرف شود
+const FAILOVER_OUTCOMES = [
+  "login_failed",
+  "subscription_expired",
+  "account_limited",
+];
+
+// خطاهای هر منبع به صورت کلید پیام (i18n) برگردانده می‌شوند تا به زبان کاربر ترجمه شوند
+function providerError(key, name) {
+  return { key: `stream.${key}`, provider: name };
+}
+
+// پیدا کردن آیتم هر منبع برای یک شناسه و ساخت لینک‌های پخش آن
+export default class StreamResolver {
+  constructor(logger, cache, sessions, mappings, titles) {
+    this.logger = logger;
+    this.cache = cache;
+    this.sessions = sessions;
+    this.mappings = mappings;
+    this.metadata = new MetadataResolver(logger, cache, titles);
+  }
+
+  // اطلاعات فیلم با توکن کاربر گرفته می‌شود، پس کلید آن به حساب وابسته است
+  getMovieData(source, type, movieId) {
+    return this.cache.wrap(
+      "movie",
+      `${source.providerID}${source.username || "anon"}:${movieId}`,
+      () => source.getMovieData(type, movieId)
+    );
+  }
+
+  search(source, title) {
+    return this.cache.wrap(
+      "search",
+      `${source.providerID}${title.toLowerCase()}`,
+      () => source.search(title)
+    );
+  }
+
+  // پیدا کردن بهترین آیتم منبع برای یک شناسه IMDb
+  // در صورت ارسال trace، همه مراحل تصمیم‌گیری در آن ثبت می‌شود (برای مسیر debug)
+  async findBestMatch(source, type, imdbIdRaw, trace = {}) {
+    const logger = this.logger;
+
+    const metaData = await this.metadata.get(type, imdbIdRaw);
+    if (!metaData) {
+      logger.warn(`Metadata not found for ID: ${imdbIdRaw}`);
+      trace.outcome = "no_metadata";
+      return null;
+    }
+
+    // حذف سال برای جستجو
+    const searchTitles = metaData.titles.map(stripYear);
+    const normalizedTarget = normalizeTitle(searchTitles[0]);
+    logger.info(
+      `Target: "${searchTitles[0]}" (Norm: "${normalizedTarget}") [${type}] via ${metaData.source}`
+    );
+
+    trace.metadataSource = metaData.source;
+    trace.title = metaData.name;
+    trace.year = metaData.year;
+    trace.searchTitles = searchTitles;
+    trace.normalizedTitles = searchTitles.map(normalizeTitle);
+
+    const searchResults = [];
+    const matched = await this.searchTitles(
+      source,
+      searchTitles,
+      searchTitles,
+      searchResults
+    );
+    // عنوان‌های جایگزین TMDB فقط وقتی گرفته می‌شوند که عنوان‌های اولیه نتیجه قابل قبول نداده‌اند
+    if (!matched) {
+      const alternatives = (
+        await this.metadata.alternativeTitles(type, imdbIdRaw, metaData)
+      ).map(stripYear);
+      if (alternatives.length) {
+        searchTitles.push(...alternatives);
+        trace.normalizedTitles = searchTitles.map(normalizeTitle);
+        await this.searchTitles(
+          source,
+          alternatives,
+          searchTitles,
+          searchResults
+        );
+      }
+    }
+    logger.debug(`Found ${searchResults.length} potential matches.`);
+
+    if (searchResults.length === 0) {
+      logger.info(`No results found in provider for: "${searchTitles[0]}"`);
+      trace.candidates = [];
+      trace.outcome = "no_results";
+      return null;
+    }
+
+    // --- Scoring System ---
+    const scoredResults = searchResults.map((item) => {
+      const breakdown = { type: 0, title: 0, titleRule: "none" };
+
+      // نرمال‌سازی نام آیتم پیدا شده
+      const normalizedItemName = normalizeTitle(item.name);
+
+      // 1. Type Match (Critical)
+      breakdown.type = item.type === type ? 100 : -50;
+
+      // 2. Name Match
+      Object.assign(breakdown, this.scoreTitle(item, searchTitles));
+
+      const score = breakdown.type + breakdown.title;
+      logger.debug(
+        `Scoring "${item.name}" -> Norm: "${normalizedItemName}" = ${score}`
+      );
+
+      return { ...item, normalizedName: normalizedItemName, breakdown, score };
+    });
+
+    // Sort by score
+    scoredResults.sort((a, b) => b.score - a.score);
+
+    // 3. IMDb / Year verification on the top candidates
+    const targetYear = metaData.year ?? NaN;
+    // IMDb همه نامزدهای هم‌نوع بررسی می‌شود، حتی با عنوان کم‌شباهت (نام کوتاه شده یا ترجمه شده در منبع)
+    // بدون تطابق IMDb فقط آیتمی قبول می‌شود که شباهت عنوانش به TITLE_MATCH_THRESHOLD رسیده باشد
+    const isAcceptable = (item) => item.score > 0 && item.breakdown.title > 0;
+    const candidates = scoredResults
+      .filter((item) => item.breakdown.type > 0)
+      .slice(0, MATCH_CANDIDATES);
+
+    // جزئیات نامزدها هم‌زمان گرفته می‌شود تا کل زمان در محدوده PROVIDER_TIMEOUT بماند
+    const candidateDetails = await Promise.all(
+      candidates.map((item) => this.getMovieData(source, type, item.id))
+    );
+
+    for (const [i, item] of candidates.entries()) {
+      const details = candidateDetails[i];
+      if (!details) continue;
+
+      const itemImdbId = source.extractImdbID(details);
+      item.breakdown.imdbId = itemImdbId;
+      if (itemImdbId === imdbIdRaw) {
+        // تطابق قطعی IMDb همیشه برنده است
+        logger.info(`Winner: "${item.name}" (IMDb match ${itemImdbId})`);
+        item.breakdown.imdb = "match";
+        this.mappings.record(source.constructor.id, imdbIdRaw, item.id, type);
+        trace.candidates = scoredResults;
+        trace.winner = item;
+        trace.outcome = "imdb_match";
+        return item.id;
+      }
+      if (itemImdbId) {
+        logger.debug(`Rejected "${item.name}": IMDb ${itemImdbId}`);
+        item.breakdown.imdb = "mismatch";
+        item.score = -Infinity;
+        continue;
+      }
+
+      const itemYear = source.releaseYear(details);
+      item.breakdown.itemYear = itemYear;
+      if (itemYear && !isNaN(targetYear)) {
+        // سریال‌ها گاهی با سال فصل اول و گاهی با سال پخش یک فصل بعدی ثبت شده‌اند،
+        // پس برای آن‌ها کل بازه پخش (تا امسال برای سریال در حال پخش) قبول است
+        const lastYear =
+          type === "series"
+            ? metaData.yearEnd ?? new Date().getFullYear()
+            : targetYear;
+        if (itemYear >= targetYear - 1 && itemYear <= lastYear + 1) {
+          item.breakdown.year = 30;
+        } else if (type === "series") {
+          // سال سریال قطعی نیست و فقط امتیاز کم می‌کند
+          item.breakdown.year = -40;
+        } else {
+          // اختلاف قطعی سال فیلم بدون IMDb آن را کنار می‌گذارد
+          logger.debug(`Rejected "${item.name}": year ${itemYear}`);
+          item.breakdown.year = "mismatch";
+          item.score = -Infinity;
+          continue;
+        }
+        item.score += item.breakdown.year;
+      }
+    }
+
+    scoredResults.sort((a, b) => b.score - a.score);
+    trace.candidates = scoredResults;
+
+    // امتیاز سال ممکن است آیتمی بدون شباهت عنوان را بالاتر برده باشد
+    const bestMatch = scoredResults.find(isAcceptable);
+
+    if (bestMatch) {
+      logger.info(`Winner: "${bestMatch.name}" (Score: ${bestMatch.score})`);
+      trace.winner = bestMatch;
+      trace.outcome = "matched";
+      return bestMatch.id;
+    }
+
+    logger.warn(
+      `No good match found. Best score was ${scoredResults[0].score}`
+    );
+    trace.outcome = "low_score";
+    return null;
+  }
+
+  // عنوان‌ها به ترتیب جستجو می‌شوند تا یکی از آن‌ها نتیجه قابل قبول بدهد
+  // نتایج جدید به searchResults اضافه می‌شوند؛ true وقتی نتیجه‌ای با یکی از targets مطابقت دارد
+  async searchTitles(source, titles, targets, searchResults) {
+    for (const searchTitle of titles) {
+      const results = (await this.search(source, searchTitle)) || [];
+      for (const item of results) {
+        if (!searchResults.some((r) => r.id === item.id)) {
+          searchResults.push(item);
+        }
+      }
+      const matched = results.some(
+        (item) => this.scoreTitle(item, targets).title > 0
+      );
+      if (matched) return true;
+    }
+    return false;
+  }
+
+  // بهترین امتیاز نام آیتم (انگلیسی یا فارسی) در برابر همه عنوان‌های هدف
+  // شباهت کمتر از TITLE_MATCH_THRESHOLD امتیازی ندارد
+  scoreTitle(item, searchTitles) {
+    const names = [item.name, item.nameFa].filter(Boolean);
+    let best = { title: 0, titleRule: "none" };
+
+    for (const target of searchTitles) {
+      for (const name of names) {
+        const { score, rule } = titleSimilarity(target, name);
+        if (score < TITLE_MATCH_THRESHOLD) continue;
+
+        const title = Math.round(score * TITLE_WEIGHT);
+        if (title > best.title) {
+          best = {
+            title,
+            titleRule: rule,
+            similarity: score,
+            matchedTitle: target,
+          };
+        }
+      }
+    }
+    return best;
+  }
+
+  // لینک‌های یک منبع؛ در صورت خطای ورود به جای لینک، error ({key, provider}) برمی‌گردد
+  async resolveProvider(source, type, id, trace = {}) {
+    const name = source.constructor.displayName;
+    trace.provider = name;
+
+    // وقتی منبع از دسترس خارج است سریع خطا برگردانده می‌شود
+    if (!source.isAvailable()) {
+      trace.outcome = "unavailable";
+      return { error: providerError("unavailable", name) };
+    }
+
+    const loggedIn = await this.sessions.login(source);
+    if (!loggedIn) {
+      if (!source.isReachable()) {
+        trace.outcome = "unavailable";
+        return { error: providerError("unavailable", name) };
+      }
+      trace.outcome = "login_failed";
+      return { error: providerError("loginFailed", name) };
+    }
+
+    // با اشتراک تمام شده لینک‌ها باز نمی‌شوند، پس به جای آن‌ها توضیح داده می‌شود
+    if (isExpired(source.subscription)) {
+      trace.outcome = "subscription_expired";
+      return { error: providerError("subscriptionExpired", name) };
+    }
+
+    // شناسه‌های خود منبع (از کاتالوگ) نیازی به جستجو ندارند
+    let movieId = source.parseID(id);
+    if (!movieId && id.startsWith("tt")) {
+      const imdbIdRaw = id.split(":")[0];
+      // نگاشت ذخیره شده (دستی یا تایید شده) بر جستجو مقدم است
+      const mapping = this.mappings.get(source.constructor.id, imdbIdRaw);
+      if (mapping) {
+        this.logger.debug(
+          `Using ${
+            mapping.manual ? "pinned" : "stored"
+          } mapping ${imdbIdRaw} -> ${mapping.movieId}`
+        );
+        movieId = mapping.movieId;
+        trace.mapping = mapping;
+        trace.outcome = "mapping";
+      } else {
+        movieId = await this.findBestMatch(source, type, imdbIdRaw, trace);
+      }
+    } else if (movieId) {
+      trace.outcome = "native_id";
+    }
+    trace.movieId = movieId;
+    const movieDetails =
+      movieId && (await this.getMovieData(source, type, movieId));
+
+    if (source.accountLimited) {
+      trace.outcome = "account_limited";
+      return { error: providerError("accountLimited", name) };
+    }
+    if (!movieId) return { links: [] };
+    if (!movieDetails) {
+      trace.outcome = "no_details";
+      return { links: [] };
+    }
+
+    const links = source.getLinks(type, id, movieDetails);
+    links.forEach((link) => (link.provider = name));
+    trace.links = links.length;
+    return { links };
+  }
+
+  // حساب‌های یک منبع به ترتیب امتحان می‌شوند تا یکی بدون خطای حساب جواب دهد
+  // در صورت وجود چند حساب، حسابی که هر لینک را داده روی آن ثبت می‌شود
+  async resolveAccounts(accounts, type, id, trace = {}) {
+    trace.accounts = [];
+    let result;
+    for (const source of accounts) {
+      const attempt = {};
+      result = await this.resolveProvider(source, type, id, attempt);
+      trace.accounts.push({
+        account: source.username,
+        outcome: attempt.outcome,
+      });
+      Object.assign(trace, attempt);
+
+      if (!FAILOVER_OUTCOMES.includes(attempt.outcome)) {
+        if (accounts.length > 1) {
+          result.links?.forEach((link) => (link.account = source.username));
+        }
+        break;
+      }
+      this.logger.info(
+        `${trace.provider} account ${source.username}: ${attempt.outcome}, trying next account`
+      );
+    }
+    return result;
+  }
+
+  // اجرای هم‌زمان همه منابع فعال با محدودیت زمان برای هر کدام
+  // هر عضو providers فهرست حساب‌های (source) یک منبع است
+  async resolveAll(providers, type, id, timeout, traces = []) {
+    const sources = providers.map((accounts) => accounts[0]);
+    const sourceTraces = sources.map(() => ({}));
+    traces.push(...sourceTraces);
+
+    const results = await Promise.all(
+      sources.map((source, i) => {
+        const trace = sourceTraces[i];
+        return withTimeout(
+          this.resolveAccounts(providers[i], type, id, trace),
+          timeout,
+          source.constructor.displayName
+        ).catch((err) => {
+          this.logger.error(
+            `Error processing stream provider ${source.constructor.displayName}: ${err.message}`
+          );
+          trace.outcome = "error";
+          trace.error = err.message;
+          // منبعی که جواب نداد نباید بی‌صدا نادیده گرفته شود
+          return {
+            error: providerError("unavailable", source.constructor.displayName),
+          };
+        });
+      })
+    );
+
+    sources.forEach((source, i) =>
+      matchOutcomes.inc({
+        provider: source.constructor.id,
+        outcome: sourceTraces[i].outcome || "unknown",
+      })
+    );
+
+    return {
+      links: results.flatMap((r) => r.links || []),
+      errors: results.map((r) => r.error).filter(Boolean),
+    };
+  }
+}
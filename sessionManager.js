@@ -0,0 +1,126 @@
+import crypto from "crypto";
+import { logins } from "./metrics.js";
+
+// هر چند وقت یک بار توکن ذخیره شده با get_profile بررسی شود
+const VALIDATE_INTERVAL = 10 * 60 * 1000;
+
+// نشست‌های ورود هر حساب را بین درخواست‌ها نگه می‌دارد تا برای هر کلیک login انجام نشود
+export default class SessionManager {
+  sessions = new Map();
+  pending = new Map();
+
+  constructor(logger = console, validateInterval = VALIDATE_INTERVAL) {
+    this.logger = logger;
+    this.validateInterval = validateInterval;
+  }
+
+  // همه فیلدهای static credentials (از جمله رمز) در کلید هستند تا نشست یک حساب با رمز اشتباه قابل استفاده نباشد
+  key(source) {
+    const hash = crypto
+      .createHash("sha256")
+      .update(
+        source.constructor.credentials
+          .map((field) => source.credentials?.[field] ?? "")
+          .join(":")
+      )
+      .digest("hex");
+    return `${source.providerID}${source.baseURL}:${hash}`;
+  }
+
+  // توکن‌های ذخیره شده را روی source قرار می‌دهد و در صورت نیاز تمدید یا ورود می‌کند
+  async login(source) {
+    if (!source.hasCredentials()) {
+      return this.countLogin(source, source.login());
+    }
+
+    const key = this.key(source);
+    this.attach(source, key);
+
+    const session = this.sessions.get(key);
+    if (
+      session?.token &&
+      Date.now() - session.validatedAt < this.validateInterval
+    ) {
+      source.token = session.token;
+      source.refreshToken = session.refreshToken;
+      source.subscription = session.subscription ?? null;
+      return true;
+    }
+
+    // ورودهای هم‌زمان برای یک حساب فقط یک بار انجام می‌شود
+    if (!this.pending.has(key)) {
+      const promise = this.countLogin(
+        source,
+        this.establish(source, session, key)
+      ).finally(() => this.pending.delete(key));
+      this.pending.set(key, promise);
+    }
+
+    const result = await this.pending.get(key);
+    const fresh = this.sessions.get(key);
+    if (result && fresh) {
+      source.token = fresh.token;
+      source.refreshToken = fresh.refreshToken;
+      source.subscription = fresh.subscription ?? null;
+    }
+    return result;
+  }
+
+  // وضعیت اشتراک همراه نشست نگه داشته و با هر اعتبارسنجی دوباره به‌روز می‌شود
+  async establish(source, session, key) {
+    const result = await this.authenticate(source, session);
+    if (result) {
+      if (!source.subscription) await source.loadSubscription();
+      const fresh = this.sessions.get(key);
+      if (fresh) fresh.subscription = source.subscription;
+    }
+    return result;
+  }
+
+  async authenticate(source, session) {
+    if (session?.token) {
+      source.token = session.token;
+      source.refreshToken = session.refreshToken;
+
+      if (await source.isLogin()) {
+        session.validatedAt = Date.now();
+        return true;
+      }
+
+      this.logger.debug(`Stored session expired, renewing`);
+      if (await source.refresh()) return true;
+    }
+
+    source.token = "";
+    source.refreshToken = "";
+    return source.login();
+  }
+
+  async countLogin(source, promise) {
+    const result = await promise;
+    logins.inc({
+      provider: source.constructor.id,
+      result: result ? "success" : "failure",
+    });
+    return result;
+  }
+
+  // ثبت تغییرات توکن source (login/refresh/renew) در مخزن نشست‌ها
+  attach(source, key) {
+    source.onSessionChange = (token, refreshToken) => {
+      if (!token) {
+        this.sessions.delete(key);
+        return;
+      }
+      this.sessions.set(key, {
+        token,
+        refreshToken,
+        validatedAt: Date.now(),
+      });
+    };
+  }
+
+  invalidate(source) {
+    this.sessions.delete(this.key(source));
+  }
+}
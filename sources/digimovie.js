@@ -1,8 +1,27 @@
 import Source from "./source.js";
-import Axios from "axios";
-import { logAxiosError, searchAndGetTMDB } from "../utils.js";
+import { http } from "../httpClient.js";
+import {
+  extractImdbId,
+  logAxiosError,
+  searchAndGetTMDB,
+  toLatinDigits,
+} from "../utils.js";
+import { parseEpisodeInfo, parseStreamInfo } from "../streamInfo.js";
+import { createSubscription } from "../subscription.js";
 
 export default class Digimovie extends Source {
+  static id = "digimovie";
+  static displayName = "DigiMovie";
+  static baseURLEnv = "DIGIMOVIE_BASEURL";
+
+  // حداکثر زمان هر endpoint (میلی‌ثانیه)
+  static TIMEOUTS = {
+    profile: 8000,
+    login: 10000,
+    search: 10000,
+    detail: 15000,
+  };
+
   // مقادیر پیش‌فرض را خالی می‌گذاریم
   username = "";
   password = "";
@@ -11,13 +30,21 @@ export default class Digimovie extends Source {
   refreshToken = "";
 
   // تغییر مهم: دریافت username و password در زمان ساخت کلاس
-  constructor(baseURL, logger, username, password) {
-    super(baseURL, logger);
-    this.providerID = "digimovie" + this.idSeparator;
+  constructor(baseURL, logger, credentials = {}) {
+    super(baseURL, logger, credentials);
+    this.providerID = Digimovie.id + this.idSeparator;
 
     // اینجا مقادیر دریافتی از فرم را جایگزین می‌کنیم
-    this.username = username;
-    this.password = password;
+    this.username = this.credentials.username;
+    this.password = this.credentials.password;
+  }
+
+  isAvailable() {
+    return http.isAvailable(`https://${this.baseURL}`);
+  }
+
+  isReachable() {
+    return http.isReachable(`https://${this.baseURL}`);
   }
 
   async isLogin() {
@@ -25,9 +52,10 @@ export default class Digimovie extends Source {
     if (!this.token) return false;
 
     try {
-      const res = await Axios.request({
+      const res = await http.request({
         url: `https://${this.baseURL}/api/app/v1/get_profile`,
         method: "post",
+        timeout: Digimovie.TIMEOUTS.profile,
         maxRedirects: 0,
         validateStatus: (status) => status >= 200 && status < 400,
         headers: {
@@ -37,6 +65,7 @@ export default class Digimovie extends Source {
       });
       if (res.data?.status) {
         this.logger.debug(`Digimovie was logged in with token: ${this.token}`);
+        this.subscription = Digimovie.parseSubscription(res.data);
         return true;
       }
     } catch (e) {}
@@ -44,6 +73,25 @@ export default class Digimovie extends Source {
     return false;
   }
 
+  // پاسخ get_profile؛ نام فیلدهای اشتراک در نسخه‌های مختلف API یکسان نیست
+  static parseSubscription(data) {
+    const profile = data?.result || data?.user || data || {};
+    const plan = profile.subscription || profile.vip || {};
+    return createSubscription(
+      plan.title || plan.name || profile.plan_title || profile.vip_plan,
+      plan.expire_date ??
+        plan.expire_at ??
+        profile.vip_expire_date ??
+        profile.expire_date ??
+        profile.subscription_expire
+    );
+  }
+
+  async loadSubscription() {
+    if (!(await this.isLogin())) return null;
+    return this.subscription;
+  }
+
   async login() {
     // اگر یوزر یا پسورد خالی باشد، اصلاً تلاش نکن
     if (!this.username || !this.password) {
@@ -60,9 +108,10 @@ export default class Digimovie extends Source {
     }
 
     try {
-      const res = await Axios.request({
+      const res = await http.request({
         url: `https://${this.baseURL}/api/app/v1/login`,
         method: "post",
+        timeout: Digimovie.TIMEOUTS.login,
         maxRedirects: 0,
         validateStatus: (status) => status >= 200 && status < 400,
         data: {
@@ -74,8 +123,7 @@ export default class Digimovie extends Source {
         },
       });
       if (res.data?.status) {
-        this.token = res.data.auth_token;
-        this.refreshToken = res.data.refresh_token;
+        this.setSession(res.data.auth_token, res.data.refresh_token);
         this.logger.info(
           `Digimovie now is logged in with token: ${this.token}`
         );
@@ -87,94 +135,165 @@ export default class Digimovie extends Source {
     return false;
   }
 
-  async search(text) {
+  // تمدید توکن با refresh_token بدون ارسال دوباره رمز عبور
+  async refresh() {
+    if (!this.refreshToken) return false;
+
     try {
-      this.logger.debug(`Digimovie searching for ${text}`);
-      const res = await Axios.request({
-        url: `https://${this.baseURL}/api/app/v1/adv_search_movies`,
+      const res = await http.request({
+        url: `https://${this.baseURL}/api/app/v1/refresh_token`,
         method: "post",
+        timeout: Digimovie.TIMEOUTS.login,
+        maxRedirects: 0,
+        validateStatus: (status) => status >= 200 && status < 400,
         data: {
-          adv_s: text,
-          adv_movie_type: "all",
-          adv_director: "",
-          adv_cast: "",
-          adv_release_year: {
-            min: null,
-            max: null,
-          },
-          adv_imdb_rate: {
-            min: null,
-            max: null,
-          },
-          adv_country: "0",
-          adv_age: "0",
-          adv_genre: "0",
-          adv_quality: "0",
-          adv_network: "0",
-          adv_order: "publish_date",
-          adv_dubbed: "0",
-          adv_censorship: "0",
-          adv_subtitle: "0",
-          adv_online: "0",
-          per_page: 30,
-          paged: 1,
+          refresh_token: this.refreshToken,
         },
         headers: {
           "Content-Type": "application/json",
         },
       });
-      if (!!res) {
-        const items = [];
+      if (res.data?.status && res.data.auth_token) {
+        this.setSession(
+          res.data.auth_token,
+          res.data.refresh_token || this.refreshToken
+        );
+        this.logger.info(`Digimovie token refreshed`);
+        return true;
+      }
+    } catch (e) {
+      logAxiosError(e, this.logger, "Digimovie refresh error: ");
+    }
+    return false;
+  }
 
-        if (res.data?.result.total_items < 1) {
-          return items;
-        }
+  // اول refresh و در صورت شکست ورود کامل
+  async renew() {
+    if (await this.refresh()) return true;
+    this.setSession("", "");
+    return this.login();
+  }
 
-        for (const item of res.data.result.items) {
-          const movie = {
-            name: item.title_en,
-            poster: item.image_url,
-            type: item.type === "movie" ? "movie" : "series",
-            id: item.id,
-            genres: [],
-          };
-          items.push(movie);
-        }
+  // فیلدهای پیش‌فرض فرم جستجوی پیشرفته سایت
+  static ADV_SEARCH_DEFAULTS = {
+    adv_s: "",
+    adv_movie_type: "all",
+    adv_director: "",
+    adv_cast: "",
+    adv_release_year: {
+      min: null,
+      max: null,
+    },
+    adv_imdb_rate: {
+      min: null,
+      max: null,
+    },
+    adv_country: "0",
+    adv_age: "0",
+    adv_genre: "0",
+    adv_quality: "0",
+    adv_network: "0",
+    adv_order: "publish_date",
+    adv_dubbed: "0",
+    adv_censorship: "0",
+    adv_subtitle: "0",
+    adv_online: "0",
+  };
+
+  static PER_PAGE = 30;
+
+  // خطای شبکه throw می‌شود تا با «نتیجه‌ای نبود» اشتباه نشود
+  // (ایندکسر آن را پایان فهرست و کاتالوگ آن را فهرست خالی قابل کش فرض نکند)
+  async fetchAdvSearch(filters = {}, page = 1) {
+    const res = await http.request({
+      url: `https://${this.baseURL}/api/app/v1/adv_search_movies`,
+      method: "post",
+      timeout: Digimovie.TIMEOUTS.search,
+      data: {
+        ...Digimovie.ADV_SEARCH_DEFAULTS,
+        ...filters,
+        per_page: Digimovie.PER_PAGE,
+        paged: page,
+      },
+      headers: {
+        "Content-Type": "application/json",
+      },
+    });
+    if (!!res) {
+      const items = [];
+
+      if (!res.data?.result || res.data.result.total_items < 1) {
         return items;
       }
-    } catch (e) {
-      logAxiosError(e, this.logger, "Digimovie search error: ");
-    }
 
+      for (const item of res.data.result.items) {
+        const movie = {
+          // بعضی آثار ایرانی عنوان انگلیسی ندارند
+          name: item.title_en || item.title_fa,
+          nameFa: item.title_fa || "",
+          poster: item.image_url,
+          type: item.type === "movie" ? "movie" : "series",
+          id: item.id,
+          genres: [],
+        };
+        items.push(movie);
+      }
+      return items;
+    }
     return [];
   }
 
-  async getMovieData(type, id) {
+  async search(text) {
+    this.logger.debug(`Digimovie searching for ${text}`);
+    return this.fetchAdvSearch({ adv_s: text });
+  }
+
+  // filters همان فیلدهای adv_* هستند، مثل adv_order یا adv_dubbed
+  async getCatalog(filters, page = 1) {
+    this.logger.debug(
+      `Digimovie catalog page ${page} with ${JSON.stringify(filters)}`
+    );
+    return this.fetchAdvSearch(filters, page);
+  }
+
+  // جدیدترین آثار برای ایندکسر (اول جدیدترین)
+  async listLatest(page = 1) {
+    return this.fetchAdvSearch({ adv_order: "publish_date" }, page);
+  }
+
+  async getMovieData(type, id, retried = false) {
     try {
       this.logger.debug(`Digimovie getting movie with id ${id}`);
-      const res = await Axios.request({
-        url: `https://${this.baseURL}/api/app/v1/get_movie_detail`,
-        method: "get",
-        params: {
-          movie_id: id,
-        },
-        headers: {
-          "Content-Type": "application/json",
-          authorization: this.token,
+      const res = await http.request(
+        {
+          url: `https://${this.baseURL}/api/app/v1/get_movie_detail`,
+          method: "get",
+          timeout: Digimovie.TIMEOUTS.detail,
+          params: {
+            movie_id: id,
+          },
+          headers: {
+            "Content-Type": "application/json",
+            authorization: this.token,
+          },
         },
-      });
+        // 429 اینجا محدودیت حساب است و با accountLimited گزارش می‌شود، نه محدودیت نرخ گذرا
+        { retryOn429: false }
+      );
       if (res.data?.status) {
         return res.data;
       }
     } catch (e) {
       logAxiosError(e, this.logger, "Digimovie getMovieData error: ");
+      const status = e.response?.status;
+      // رد شدن دوباره پس از ورود تازه یعنی حساب به محدودیت دستگاه یا هم‌زمانی رسیده است
+      if (status === 429 || (retried && status === 403)) {
+        this.accountLimited = true;
+      }
       // تلاش مجدد برای لاگین فقط در صورتی که خطا مربوط به احراز هویت باشد
-      if (
-        e.response &&
-        (e.response.status === 401 || e.response.status === 403)
-      ) {
-        const relogin = await this.login();
-        if (relogin) return this.getMovieData(type, id); // Retry once
+      else if (!retried && (status === 401 || status === 403)) {
+        const relogin = await this.renew();
+        if (relogin) return this.getMovieData(type, id, true); // Retry once
       }
     }
 
@@ -194,6 +313,13 @@ export default class Digimovie extends Source {
       link.title += item.label;
 
       link.url = item.file;
+      link.info = parseStreamInfo({
+        quality: item.quality,
+        size: item.size,
+        encode: item.encode,
+        label: item.label,
+        url: item.file,
+      });
 
       links.push(link);
     }
@@ -215,19 +341,30 @@ export default class Digimovie extends Source {
         episode = parseInt(parts[2]);
       }
 
-      const seasonTitle = `:${season}`;
-
-      if (movieData && movieData.serie_download_urls) {
-        for (const item of movieData.serie_download_urls.filter((i) =>
-          i.season_name.replace(" ", "").includes(seasonTitle)
-        )) {
-          const link = { url: "", title: "" };
-          link.title = item.quality + " - " + item.size;
-          if (item.links && item.links[episode - 1]) {
-            link.url = item.links[episode - 1].movie;
-            links.push(link);
-          }
+      for (const entry of this.seriesEpisodes(movieData)) {
+        if (
+          entry.season !== season ||
+          episode < entry.episodeStart ||
+          episode > entry.episodeEnd
+        ) {
+          continue;
+        }
+
+        const { item } = entry;
+        const link = { url: "", title: "" };
+        link.title = item.quality + " - " + item.size;
+        if (entry.episodeEnd > entry.episodeStart) {
+          link.title += ` - E${entry.episodeStart}-E${entry.episodeEnd}`;
         }
+        link.url = entry.link.movie;
+        link.info = parseStreamInfo({
+          quality: item.quality,
+          size: item.size,
+          encode: item.encode,
+          label: item.label,
+          url: link.url,
+        });
+        links.push(link);
       }
     } catch (e) {
       this.logger.debug(`error with => Digimovie, ${movieData}, ${imdbId}`);
@@ -237,6 +374,145 @@ export default class Digimovie extends Source {
     return links;
   }
 
+  static SEASON_ORDINALS = {
+    اول: 1,
+    دوم: 2,
+    سوم: 3,
+    چهارم: 4,
+    پنجم: 5,
+    ششم: 6,
+    هفتم: 7,
+    هشتم: 8,
+    نهم: 9,
+    دهم: 10,
+    یازدهم: 11,
+    دوازدهم: 12,
+  };
+
+  // شماره فصل از عنوان‌هایی مثل "فصل : 2"، "Season 10" یا "فصل دوم"
+  seasonNumber(seasonName) {
+    const name = toLatinDigits(seasonName || "");
+
+    if (/special|ویژه/i.test(name)) return 0;
+
+    const match =
+      name.match(/(?:season|فصل)\s*:?\s*(\d+)/i) || name.match(/:\s*(\d+)/);
+    if (match) return parseInt(match[1]);
+
+    // ترتیبی‌های بلندتر اول بررسی می‌شوند ("یازدهم" شامل "دهم" است)
+    const ordinal = Object.keys(Digimovie.SEASON_ORDINALS)
+      .sort((a, b) => b.length - a.length)
+      .find((word) => name.includes(word));
+    if (ordinal) return Digimovie.SEASON_ORDINALS[ordinal];
+
+    // عدد تنها، بعد از حذف کیفیت و کدک ("1080p"، "x265"، "10bit")
+    const bare = name
+      .replace(/\d{3,4}\s*p\b|\b(?:2160|1080|720|480|360)\b/gi, "")
+      .replace(/[xh]\.?26[45]|\d+\s*bit/gi, "")
+      .match(/(\d+)/);
+    return bare ? parseInt(bare[1]) : null;
+  }
+
+  // همه لینک‌های سریال با فصل و بازه قسمت‌هایشان
+  // اگر نام فایل‌های یک بخش شماره قسمت داشته باشند از آن استفاده می‌شود، وگرنه از ترتیب لینک‌ها
+  seriesEpisodes(movieData) {
+    const entries = [];
+
+    for (const item of movieData?.serie_download_urls || []) {
+      const itemSeason = this.seasonNumber(item.season_name);
+      const itemLinks = item.links || [];
+      const parsed = itemLinks.map((l) =>
+        parseEpisodeInfo(`${l.title || ""} ${l.movie || ""}`)
+      );
+      const hasParsed = parsed.some(Boolean);
+
+      itemLinks.forEach((link, index) => {
+        if (!link.movie) return;
+
+        const info = parsed[index];
+        if (hasParsed && !info) return;
+
+        const season = info?.season ?? itemSeason;
+        if (season === null) return;
+
+        entries.push({
+          season,
+          episodeStart: info ? info.episodeStart : index + 1,
+          episodeEnd: info ? info.episodeEnd : index + 1,
+          item,
+          link,
+        });
+      });
+    }
+
+    return entries;
+  }
+
+  toMeta(type, id, movieData) {
+    const info = movieData.movie_info || {};
+    const stremioId = this.providerID + id;
+
+    // فیلدهای لیستی گاهی آرایه و گاهی رشته جدا شده با کاما هستند
+    const toList = (value) => {
+      if (!value) return [];
+      if (Array.isArray(value)) {
+        return value
+          .map((v) => (typeof v === "string" ? v : v?.name))
+          .filter(Boolean);
+      }
+      return String(value)
+        .split(/[,،]/)
+        .map((v) => v.trim())
+        .filter(Boolean);
+    };
+
+    const titleEn = info.title_en || "";
+    const titleFa = info.title_fa || "";
+
+    const meta = {
+      id: stremioId,
+      type,
+      name: titleEn || titleFa,
+      poster: info.image_url || info.poster,
+      background: info.cover_url || info.image_url,
+      posterShape: "poster",
+      description: [titleFa, info.description || info.plot || info.story]
+        .filter(Boolean)
+        .join("\n\n"),
+      releaseInfo: info.release_year ? String(info.release_year) : undefined,
+      imdbRating: info.imdb_rate ? String(info.imdb_rate) : undefined,
+      genres: toList(info.genres || info.genre),
+      cast: toList(info.cast || info.actors),
+      director: toList(info.director),
+      runtime: info.runtime || undefined,
+    };
+
+    if (type === "series") {
+      const episodes = new Map();
+
+      for (const entry of this.seriesEpisodes(movieData)) {
+        const { season } = entry;
+        for (let ep = entry.episodeStart; ep <= entry.episodeEnd; ep++) {
+          const videoId = `${stremioId}:${season}:${ep}`;
+          if (!episodes.has(videoId)) {
+            episodes.set(videoId, {
+              id: videoId,
+              title: `S${season} E${ep}`,
+              season,
+              episode: ep,
+            });
+          }
+        }
+      }
+
+      meta.videos = [...episodes.values()].sort(
+        (a, b) => a.season - b.season || a.episode - b.episode
+      );
+    }
+
+    return meta;
+  }
+
   getLinks(type, imdbId, movieData) {
     if (type === "movie") {
       return this.getMovieLinks(movieData);
@@ -248,8 +524,23 @@ export default class Digimovie extends Source {
     return [];
   }
 
+  // شناسه IMDb از لینک IMDb داخل اطلاعات فیلم
+  extractImdbID(movieData) {
+    const info = movieData?.movie_info || {};
+    return extractImdbId(info.imdb_url || info.imdb_link || info.imdb || "");
+  }
+
+  releaseYear(movieData) {
+    const info = movieData?.movie_info || {};
+    const year = parseInt(info.release_year || info.year);
+    return isNaN(year) ? null : year;
+  }
+
   // متد imdbID معمولاً در حالت اسکرپر استفاده نمی‌شود اما بودنش ضرری ندارد
   async imdbID(movieData) {
+    const imdbId = this.extractImdbID(movieData);
+    if (imdbId) return imdbId;
+
     const tmdbData = await searchAndGetTMDB(movieData.movie_info.title_en);
     if (tmdbData) {
       return tmdbData.external_ids.imdb_id;
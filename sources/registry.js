@@ -0,0 +1,97 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// فایل‌هایی از این پوشه که منبع نیستند
+const IGNORED_FILES = ["source.js", "registry.js"];
+
+const sources = new Map();
+
+// همه کلاس‌های منبع داخل پوشه sources را بارگذاری می‌کند
+// هر فایل باید یک کلاس فرزند Source با static id را default export کند
+export async function loadSources(logger = console) {
+  const files = fs
+    .readdirSync(__dirname)
+    .filter((f) => f.endsWith(".js") && !IGNORED_FILES.includes(f))
+    .sort();
+
+  for (const file of files) {
+    try {
+      const { default: SourceClass } = await import(`./${file}`);
+      if (!SourceClass?.id) {
+        logger.warn(`Skipping ${file}: no source class with static id`);
+        continue;
+      }
+      sources.set(SourceClass.id, SourceClass);
+      logger.info(`Loaded source: ${SourceClass.displayName}`);
+    } catch (e) {
+      logger.error(`Error loading source ${file}: ${e.message}`);
+    }
+  }
+
+  return sources;
+}
+
+export function getSources() {
+  return [...sources.values()];
+}
+
+export function getSource(id) {
+  return sources.get(id) || null;
+}
+
+// منبعی که شناسه استرمیو (مثل digimovie___123) متعلق به آن است
+export function findSourceForId(stremioId) {
+  return (
+    getSources().find((SourceClass) =>
+      stremioId.startsWith(SourceClass.id + SourceClass.idSeparator)
+    ) || null
+  );
+}
+
+export function createSource(SourceClass, logger, credentials = {}) {
+  return new SourceClass(
+    process.env[SourceClass.baseURLEnv],
+    logger,
+    credentials
+  );
+}
+
+// تنظیمات منابع کاربر؛ قالب قدیمی (digiUser/digiPass) به منبع دیجی‌مووی تبدیل می‌شود
+export function getProviderConfigs(userConfig) {
+  if (!userConfig) return {};
+  if (userConfig.providers) return userConfig.providers;
+  if (userConfig.digiUser) {
+    return {
+      digimovie: {
+        enabled: true,
+        username: userConfig.digiUser,
+        password: userConfig.digiPass,
+      },
+    };
+  }
+  return {};
+}
+
+// حساب‌های یک منبع به ترتیب اولویت؛ تنظیمات قدیمی فقط یک حساب (username/password) دارند
+export function getAccounts(SourceClass, config) {
+  const accounts = Array.isArray(config?.accounts) ? config.accounts : [config];
+  return accounts.filter(
+    (account) =>
+      account && SourceClass.credentials.every((field) => !!account[field])
+  );
+}
+
+// منابع فعال کاربر که حداقل یک حساب با اطلاعات ورود لازم دارند
+export function getEnabledProviders(userConfig) {
+  const configs = getProviderConfigs(userConfig);
+  return getSources()
+    .map((SourceClass) => {
+      const config = configs[SourceClass.id];
+      const accounts = config?.enabled ? getAccounts(SourceClass, config) : [];
+      return { SourceClass, accounts, credentials: accounts[0] };
+    })
+    .filter(({ accounts }) => accounts.length > 0);
+}
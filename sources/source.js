@@ -1,18 +1,65 @@
 
 export default class Source {
+    // اطلاعات معرفی منبع برای registry و صفحه تنظیمات
+    static id = "";
+    static displayName = "";
+    static baseURLEnv = "";
+    static credentials = ["username", "password"];
+    static idSeparator = "___";
+
     idSeparator = "___"
-    constructor(baseURL, logger=console) {
+    // credentials: مقادیر فیلدهای static credentials (مثلاً { username, password })
+    constructor(baseURL, logger=console, credentials={}) {
         this.baseURL = baseURL;
         this.providerID = "NOT_SET" + this.idSeparator;
         this.logger = logger
+        this.credentials = credentials || {};
+    }
+    // true وقتی همه فیلدهای اطلاعات ورود منبع پر شده‌اند
+    hasCredentials(){
+        return this.constructor.credentials.every((field) => !!this.credentials[field]);
     }
+    // false وقتی سرور منبع از دسترس خارج است (circuit breaker باز است)
+    isAvailable(){ return true; }
+    // false وقتی آخرین درخواست به منبع پاسخی نگرفته است؛ برای تشخیص قطعی سرور از رمز اشتباه
+    isReachable(){ return this.isAvailable(); }
     async login(){}
     async isLogin(){}
+    async refresh(){ return false; }
+    async renew(){ return this.login(); }
+
+    // true وقتی حساب به محدودیت دستگاه یا پخش هم‌زمان خورده است (برای رفتن به حساب بعدی)
+    accountLimited = false;
+
+    // وضعیت اشتراک حساب (خروجی createSubscription)؛ برای منابعی که اشتراک ندارند null می‌ماند
+    subscription = null;
+    async loadSubscription(){ return null; }
 
+    // هر تغییر توکن به SessionManager اطلاع داده می‌شود تا در درخواست‌های بعدی استفاده شود
+    onSessionChange = null;
+    setSession(token, refreshToken){
+        this.token = token;
+        this.refreshToken = refreshToken;
+        if (this.onSessionChange) this.onSessionChange(token, refreshToken);
+    }
+
+    // search و getCatalog در خطای شبکه throw می‌کنند تا خطا با نتیجه خالی اشتباه نشود
     async search(text){}
+    async getCatalog(filters, page){}
+    // فهرست کامل آثار به ترتیب انتشار (جدیدترین اول) برای ایندکسر؛ در صورت خطا throw می‌کند
+    async listLatest(page){ return []; }
     async getMovieData(type, id){}
     getMovieLinks(movieData){}
     getSeriesLinks(movieData, imdbId){}
     getLinks(type, imdbId, movieData){}
+    toMeta(type, id, movieData){}
+    extractImdbID(movieData){ return null; }
+    releaseYear(movieData){ return null; }
+
+    // شناسه داخلی منبع را از شناسه استرمیو (مثل digimovie___123:1:2) جدا می‌کند
+    parseID(stremioId){
+        if (!stremioId || !stremioId.startsWith(this.providerID)) return null;
+        return stremioId.slice(this.providerID.length).split(":")[0] || null;
+    }
     async imdbID(type, id){}
 }
\ No newline at end of file
@@ -0,0 +1,177 @@
+// استخراج کیفیت، کدک، حجم و ... از متن لینک‌های دانلود و ساخت استریم استرمیو
+import { toLatinDigits } from "./utils.js";
+import { t } from "./i18n.js";
+
+const RESOLUTIONS = [
+  { name: "2160p", pattern: /2160p|4k|uhd/i, rank: 4 },
+  { name: "1080p", pattern: /1080p?/i, rank: 3 },
+  { name: "720p", pattern: /720p?/i, rank: 2 },
+  { name: "480p", pattern: /480p?/i, rank: 1 },
+  { name: "360p", pattern: /360p?/i, rank: 0 },
+];
+
+const RELEASES = [
+  "BluRay",
+  "WEB-DL",
+  "WEBRip",
+  "HDRip",
+  "BRRip",
+  "DVDRip",
+  "HDTV",
+  "HDCAM",
+  "CAM",
+];
+
+const MAX_PACK_EPISODES = 50;
+
+const SIZE_UNITS = { KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+// "2.1GB" یا "850 مگابایت" به بایت
+export function parseSize(str) {
+  if (!str) return null;
+  const match = toLatinDigits(str)
+    .replace(/٫/g, ".") // ممیز فارسی
+    .replace(/گیگابایت|گیگ/g, "GB")
+    .replace(/مگابایت|مگ/g, "MB")
+    .match(/([\d.]+)\s*(KB|MB|GB|TB)/i);
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2].toUpperCase()]);
+}
+
+export function formatSize(bytes) {
+  if (!bytes) return "";
+  if (bytes >= SIZE_UNITS.GB) return `${(bytes / SIZE_UNITS.GB).toFixed(2)} GB`;
+  return `${Math.round(bytes / SIZE_UNITS.MB)} MB`;
+}
+
+function parseCodec(text) {
+  const parts = [];
+  if (/x265|h\.?265|hevc/i.test(text)) parts.push("x265");
+  else if (/x264|h\.?264|avc/i.test(text)) parts.push("x264");
+  if (/10\s?bit/i.test(text)) parts.push("10bit");
+  return parts.join(" ");
+}
+
+function filenameFromUrl(url) {
+  try {
+    const name = new URL(url).pathname.split("/").pop();
+    return name ? decodeURIComponent(name) : undefined;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// شماره فصل و قسمت از نام فایل یا عنوان لینک (S01E05، 1x05، فصل 1 قسمت 5)
+// برای پک‌های چند قسمتی (S01E01-E03) بازه قسمت‌ها برگردانده می‌شود
+export function parseEpisodeInfo(text) {
+  if (!text) return null;
+  let str = toLatinDigits(text);
+  try {
+    str = decodeURIComponent(str);
+  } catch (e) {}
+
+  let season = null;
+  let start = null;
+  let end = null;
+
+  // انتهای بازه باید با E شروع شود تا "S01E05 - 10bit" بازه 5 تا 10 خوانده نشود
+  const sxe = str.match(
+    /S(\d{1,2})\s*[._-]?\s*E(\d{1,3})(?:\s*-?\s*E(\d{1,3}))?(?!\d)/i
+  );
+  // کدک‌هایی مثل "10x265" شکل NxN دارند ولی شماره قسمت نیستند
+  const nxn = str.match(/\b(\d{1,2})x(?!26[45]\b)(\d{2,3})\b/i);
+
+  if (sxe) {
+    season = parseInt(sxe[1]);
+    start = parseInt(sxe[2]);
+    end = sxe[3] ? parseInt(sxe[3]) : start;
+  } else if (nxn) {
+    season = parseInt(nxn[1]);
+    start = end = parseInt(nxn[2]);
+  } else {
+    const faSeason = str.match(/فصل\s*(\d+)/);
+    const episode =
+      str.match(/قسمت\s*(\d+)/) ||
+      str.match(/\b(?:Episode|Ep|E)[\s._-]?(\d{1,3})\b/i);
+    if (faSeason) season = parseInt(faSeason[1]);
+    if (episode) start = end = parseInt(episode[1]);
+  }
+
+  if (start === null) return null;
+  if (end < start || end - start > MAX_PACK_EPISODES) end = start;
+
+  return { season, episodeStart: start, episodeEnd: end };
+}
+
+// fields: quality, size, encode, label و آدرس فایل همان‌طور که دیجی‌مووی برمی‌گرداند
+export function parseStreamInfo({ quality, size, encode, label, url }) {
+  const filename = filenameFromUrl(url);
+  const text = [quality, encode, label, filename].filter(Boolean).join(" ");
+
+  const resolution = RESOLUTIONS.find((r) => r.pattern.test(text));
+  const release = RELEASES.find((r) =>
+    new RegExp(r.replace("-", "[-.]?"), "i").test(text)
+  );
+
+  return {
+    quality: quality || "",
+    resolution: resolution?.name || "",
+    resolutionRank: resolution ? resolution.rank : -1,
+    codec: parseCodec(text),
+    size: parseSize(size),
+    dubbed: /دوبله|dubbed|\bdub\b/i.test(text),
+    subbed: /زیرنویس|softsub|hardsub|\bsub\b/i.test(text),
+    release: release || "",
+    label: label || "",
+    filename,
+  };
+}
+
+// بهترین کیفیت اول، در کیفیت برابر حجم بیشتر اول
+export function compareStreamInfo(a, b) {
+  return b.resolutionRank - a.resolutionRank || (b.size || 0) - (a.size || 0);
+}
+
+// برچسب‌ها به زبان کاربر (lang) ساخته می‌شوند
+export function toStremioStream(link, provider, lang) {
+  const info = link.info;
+  const details = [info.codec, info.release].filter(Boolean).join(" ");
+  const language = info.dubbed
+    ? t(lang, "stream.dubbed")
+    : info.subbed
+    ? t(lang, "stream.subbed")
+    : "";
+
+  const description = [
+    [formatSize(info.size) && `📦 ${formatSize(info.size)}`, details]
+      .filter(Boolean)
+      .join(" · "),
+    language,
+    info.label && `🏷 ${info.label}`,
+    link.account && t(lang, "stream.account", { account: link.account }),
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return {
+    name: `${provider}\n${
+      info.resolution || info.quality || t(lang, "stream.link")
+    }`,
+    description: description || link.title || t(lang, "stream.link"),
+    url: link.url,
+    behaviorHints: {
+      // autoplay قسمت بعد همان کیفیت و انکود را انتخاب کند
+      bingeGroup: [
+        provider.toLowerCase(),
+        info.resolution || info.quality,
+        info.codec,
+        info.dubbed ? "dubbed" : "original",
+      ]
+        .filter(Boolean)
+        .join("-")
+        .replace(/\s+/g, "_"),
+      videoSize: info.size || undefined,
+      filename: info.filename,
+    },
+  };
+}
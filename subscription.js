@@ -0,0 +1,43 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// وضعیت اشتراک یک حساب: { plan, expiresAt } که expiresAt زمان ISO یا null (نامشخص) است
+export function createSubscription(plan, expiry) {
+  return { plan: plan || null, expiresAt: parseExpiry(expiry) };
+}
+
+// تاریخ انقضا ممکن است timestamp (ثانیه یا میلی‌ثانیه) یا رشته تاریخ باشد
+function parseExpiry(value) {
+  if (value === null || value === undefined || value === "") return null;
+
+  let time;
+  if (typeof value === "number" || /^\d+$/.test(String(value))) {
+    const number = Number(value);
+    time = number < 1e12 ? number * 1000 : number;
+  } else {
+    time = Date.parse(String(value).replace(" ", "T"));
+  }
+  return isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// تعداد روزهای باقی‌مانده؛ null وقتی تاریخ انقضا نامشخص است
+export function daysRemaining(subscription) {
+  if (!subscription?.expiresAt) return null;
+  const left = Date.parse(subscription.expiresAt) - Date.now();
+  return Math.max(0, Math.ceil(left / DAY));
+}
+
+export function isExpired(subscription) {
+  if (!subscription?.expiresAt) return false;
+  return Date.parse(subscription.expiresAt) <= Date.now();
+}
+
+// خلاصه قابل نمایش برای /validate و توضیحات manifest
+export function describeSubscription(subscription) {
+  if (!subscription) return null;
+  return {
+    plan: subscription.plan,
+    expiresAt: subscription.expiresAt,
+    daysLeft: daysRemaining(subscription),
+    expired: isExpired(subscription),
+  };
+}
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// کلیدها یک بار هنگام اولین استفاده خوانده می‌شوند؛ هر حالت نمونه جدای ماژول را بارگذاری می‌کند
+let instance = 0;
+async function loadSeal(secret, oldSecrets = "") {
+  process.env.CONFIG_SECRET = secret;
+  process.env.CONFIG_OLD_SECRETS = oldSecrets;
+  return import(`../configSeal.js?instance=${++instance}`);
+}
+
+const config = { username: "user", password: "pass", lang: "fa" };
+
+test("sealed config round-trips", async () => {
+  const seal = await loadSeal("current-secret");
+  const token = seal.sealConfig(config);
+  assert.ok(seal.isSealed(token));
+  assert.equal(token.split(".").length, 3);
+  assert.ok(!token.includes("pass"));
+  assert.deepEqual(seal.unsealConfig(token), config);
+});
+
+test("sealing fails without CONFIG_SECRET", async () => {
+  const seal = await loadSeal("");
+  assert.equal(seal.canSeal(), false);
+  assert.throws(() => seal.sealConfig(config), /CONFIG_SECRET/);
+});
+
+test("tokens sealed with a rotated secret still open via CONFIG_OLD_SECRETS", async () => {
+  const before = await loadSeal("old-secret");
+  const token = before.sealConfig(config);
+
+  const after = await loadSeal("new-secret", "other-secret, old-secret");
+  assert.deepEqual(after.unsealConfig(token), config);
+  // توکن‌های جدید با کلید فعلی ساخته می‌شوند
+  assert.notEqual(after.sealConfig(config).split(".")[1], token.split(".")[1]);
+
+  const dropped = await loadSeal("new-secret");
+  assert.throws(() => dropped.unsealConfig(token), /Unknown config key/);
+});
+
+test("tampered payloads and swapped key ids are rejected", async () => {
+  const seal = await loadSeal("current-secret", "old-secret");
+  const [version, keyId, data] = seal.sealConfig(config).split(".");
+
+  const payload = Buffer.from(data, "base64url");
+  payload[payload.length - 1] ^= 1;
+  assert.throws(() =>
+    seal.unsealConfig(`${version}.${keyId}.${payload.toString("base64url")}`)
+  );
+
+  // شناسه کلید در AAD است؛ حتی اگر کلید دیگر شناخته شده باشد باز نمی‌شود
+  const otherId = (await loadSeal("old-secret"))
+    .sealConfig(config)
+    .split(".")[1];
+  assert.throws(() => seal.unsealConfig(`${version}.${otherId}.${data}`));
+
+  assert.throws(() => seal.unsealConfig(`v2.${keyId}.${data}`), /Malformed/);
+  assert.throws(() => seal.unsealConfig(`${version}.${keyId}`), /Malformed/);
+});
+
+test("legacy base64 configs are decoded and not treated as sealed", async () => {
+  const seal = await loadSeal("current-secret");
+  const legacy = Buffer.from(JSON.stringify(config)).toString("base64");
+  assert.equal(seal.isSealed(legacy), false);
+  assert.deepEqual(seal.decodeLegacyConfig(legacy), config);
+  assert.throws(() => seal.decodeLegacyConfig("not-json"));
+});
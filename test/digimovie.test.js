@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Digimovie from "../sources/digimovie.js";
+
+// seasonNumber به وضعیت نمونه وابسته نیست؛ سازنده (ورود و اشتراک) اجرا نمی‌شود
+const source = Object.create(Digimovie.prototype);
+
+const SEASONS = [
+  ["فصل : 2", 2],
+  ["فصل 3", 3],
+  ["فصل ۴", 4],
+  ["Season 10", 10],
+  ["season: 1", 1],
+  ["فصل دوم", 2],
+  ["فصل یازدهم", 11],
+  ["فصل دهم", 10],
+  ["قسمت‌های ویژه", 0],
+  ["Specials", 0],
+  ["1080p x265 10bit", null],
+  ["2 - 1080p", 2],
+  ["", null],
+  [undefined, null],
+];
+
+for (const [name, expected] of SEASONS) {
+  test(`seasonNumber(${JSON.stringify(name)})`, () => {
+    assert.equal(source.seasonNumber(name), expected);
+  });
+}
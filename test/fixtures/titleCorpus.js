@@ -0,0 +1,136 @@
+// نمونه‌های واقعی عنوان هدف (Cinemeta/TMDB) و نام آیتم در منبع که با مقایسه قبلی از دست می‌رفتند
+// یا نباید مطابقت داشته باشند؛ برای تنظیم TITLE_MATCH_THRESHOLD و بررسی تغییرات normalizeTitle
+export const TITLE_CORPUS = [
+  // آپوستروف و علائم
+  { target: "Schindler's List", name: "Schindlers List", match: true },
+  { target: "Ocean's Eleven", name: "Ocean’s Eleven", match: true },
+  { target: "Don't Look Up", name: "Dont Look Up", match: true },
+  {
+    target: "Spider-Man: No Way Home",
+    name: "Spider Man No Way Home",
+    match: true,
+  },
+  {
+    target: "Spider-Man: Homecoming",
+    name: "Spiderman Homecoming",
+    match: true,
+  },
+  { target: "WALL·E", name: "Wall-E", match: true },
+
+  // اعداد رومی، حروفی و رقم
+  {
+    target: "The Godfather Part II",
+    name: "The Godfather Part 2",
+    match: true,
+  },
+  { target: "Rocky IV", name: "Rocky 4", match: true },
+  { target: "Ocean's Eleven", name: "Ocean's 11", match: true },
+  { target: "Dune: Part Two", name: "Dune Part 2", match: true },
+  { target: "Kill Bill: Vol. 1", name: "Kill Bill Volume I", match: true },
+  {
+    target: "The Godfather Part II",
+    name: "The Godfather Part III",
+    match: false,
+  },
+  { target: "Toy Story 3", name: "Toy Story 4", match: false },
+
+  // لهجه‌ها و یونیکد
+  { target: "Amélie", name: "Amelie", match: true },
+  {
+    target: "Léon: The Professional",
+    name: "Leon The Professional",
+    match: true,
+  },
+  {
+    target: "Pokémon Detective Pikachu",
+    name: "Pokemon Detective Pikachu",
+    match: true,
+  },
+
+  // & و and در وسط عنوان
+  { target: "Fast & Furious", name: "Fast and Furious", match: true },
+  {
+    target: "Harold & Kumar Go to White Castle",
+    name: "Harold and Kumar Go to White Castle",
+    match: true,
+  },
+
+  // حرف تعریف و عنوان جایگزین
+  { target: "The Batman", name: "Batman", match: true },
+  {
+    target: "Birdman or (The Unexpected Virtue of Ignorance)",
+    name: "Birdman",
+    match: true,
+  },
+  {
+    target:
+      "Dr. Strangelove or: How I Learned to Stop Worrying and Love the Bomb",
+    name: "Dr Strangelove",
+    match: true,
+  },
+
+  // غلط املایی و تفاوت نگارش
+  {
+    target: "Terminator 2: Judgment Day",
+    name: "Terminator 2 Judgement Day",
+    match: true,
+  },
+  {
+    target: "The Shawshank Redemption",
+    name: "Shawshank Redemtion",
+    match: true,
+  },
+
+  // عنوان فارسی: حروف عربی، نیم‌فاصله و ارقام فارسی
+  { target: "جدایی نادر از سیمین", name: "جدايي نادر از سيمين", match: true },
+  { target: "قهرمان", name: "قهرمان", match: true },
+  { target: "می‌خواهم زنده بمانم", name: "میخواهم زنده بمانم", match: true },
+  { target: "۲۱ روز بعد", name: "21 روز بعد", match: true },
+
+  // عنوان‌های متفاوت که نباید مطابقت داشته باشند
+  {
+    target: "Batman",
+    name: "Batman v Superman: Dawn of Justice",
+    match: false,
+  },
+  { target: "Alien", name: "Aliens", match: false },
+  { target: "Up", name: "Upgrade", match: false },
+  { target: "It", name: "It Follows", match: false },
+  { target: "Her", name: "Hereditary", match: false },
+
+  // قسمت‌های دیگر یک مجموعه و زیرعنوان عنوان‌های تک‌کلمه‌ای
+  { target: "Top Gun", name: "Top Gun: Maverick", match: false },
+  {
+    target: "Mission: Impossible",
+    name: "Mission: Impossible - Fallout",
+    match: false,
+  },
+  { target: "Dune", name: "Dune: Part Two", match: false },
+  { target: "Alien", name: "Alien: Covenant", match: false },
+  { target: "It", name: "It: Chapter Two", match: false },
+  { target: "Toy Story", name: "Toy Story 2", match: false },
+  { target: "Blade Runner", name: "Blade Runner 2049", match: false },
+  { target: "The Matrix", name: "The Matrix Reloaded", match: false },
+  {
+    target: "Borat",
+    name: "Borat: Cultural Learnings of America for Make Benefit Glorious Nation of Kazakhstan",
+    match: false,
+  },
+
+  // نام کوتاه شده در منبع از عنوان بدون زیرعنوان قابل تشخیص نیست و فقط با تطابق IMDb قبول می‌شود
+  {
+    target: "Pirates of the Caribbean: The Curse of the Black Pearl",
+    name: "Pirates of the Caribbean",
+    match: false,
+  },
+  {
+    target: "Mission: Impossible - Dead Reckoning Part One",
+    name: "Mission Impossible Dead Reckoning",
+    match: false,
+  },
+  {
+    target: "Hobbs & Shaw",
+    name: "Fast and Furious Presents: Hobbs and Shaw",
+    match: false,
+  },
+];
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildProxyUrl,
+  signProxyToken,
+  verifyProxyToken,
+} from "../proxySigner.js";
+
+process.env.PROXY_SECRET = "test-proxy-secret";
+
+const url = "https://cdn.example.com/movie.mkv";
+const now = () => Math.floor(Date.now() / 1000);
+
+test("signed tokens verify and carry the target url", () => {
+  const claims = verifyProxyToken(signProxyToken(url, { ttl: 60 }));
+  assert.equal(claims.u, url);
+  assert.ok(claims.e > now() && claims.e <= now() + 60);
+  assert.ok(claims.k);
+});
+
+test("each token gets its own rate limit key", () => {
+  const a = verifyProxyToken(signProxyToken(url));
+  const b = verifyProxyToken(signProxyToken(url));
+  assert.notEqual(a.k, b.k);
+});
+
+test("tampered claims or signatures are rejected", () => {
+  const [payload, signature] = signProxyToken(url).split(".");
+
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  const forged = Buffer.from(
+    JSON.stringify({ ...claims, u: "https://evil.example.com/" })
+  ).toString("base64url");
+  assert.throws(() => verifyProxyToken(`${forged}.${signature}`), /signature/);
+
+  const flipped =
+    signature.slice(0, -1) + (signature.endsWith("A") ? "B" : "A");
+  assert.throws(() => verifyProxyToken(`${payload}.${flipped}`), /signature/);
+  assert.throws(() => verifyProxyToken(payload), /Malformed/);
+  assert.throws(() => verifyProxyToken(undefined), /Malformed/);
+});
+
+test("tokens signed with another secret are rejected", () => {
+  const token = signProxyToken(url);
+  process.env.PROXY_SECRET = "rotated-secret";
+  try {
+    assert.throws(() => verifyProxyToken(token), /signature/);
+  } finally {
+    process.env.PROXY_SECRET = "test-proxy-secret";
+  }
+});
+
+test("expired tokens are rejected", () => {
+  const token = signProxyToken(url, { parent: { e: now() - 1 } });
+  assert.throws(() => verifyProxyToken(token), /expired/);
+});
+
+test("segment tokens inherit expiry and rate limit key from the parent", () => {
+  const parent = verifyProxyToken(signProxyToken(url, { ttl: 120 }));
+  const segment = verifyProxyToken(
+    signProxyToken("https://cdn.example.com/seg1.ts", { ttl: 3600, parent })
+  );
+  assert.equal(segment.u, "https://cdn.example.com/seg1.ts");
+  assert.equal(segment.e, parent.e);
+  assert.equal(segment.k, parent.k);
+});
+
+test("proxy urls keep the filename readable for players", () => {
+  process.env.PROXY_PATH = "proxy";
+  assert.equal(
+    buildProxyUrl("https://addon.example.com", "abc.def", "Movie 2020.mkv"),
+    "https://addon.example.com/proxy/abc.def/Movie%202020.mkv"
+  );
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseEpisodeInfo, parseSize } from "../streamInfo.js";
+
+const episode = (season, episodeStart, episodeEnd = episodeStart) => ({
+  season,
+  episodeStart,
+  episodeEnd,
+});
+
+const EPISODES = [
+  ["Show.S01E05.1080p.mkv", episode(1, 5)],
+  ["Show S02 E07 720p", episode(2, 7)],
+  ["Show.S01E01-E03.1080p.mkv", episode(1, 1, 3)],
+  ["Show.S01E01E03.mkv", episode(1, 1, 3)],
+  ["Show S01E01 - E03", episode(1, 1, 3)],
+  ["Show S01E05 - 10bit", episode(1, 5)],
+  ["Show.S01E05-1080p.mkv", episode(1, 5)],
+  ["Show.3x07.HDTV.mkv", episode(3, 7)],
+  ["Show.E05.10x265.mkv", episode(null, 5)],
+  ["Show.S01E02.2x264.mkv", episode(1, 2)],
+  ["Show.Episode.12.mkv", episode(null, 12)],
+  ["فصل ۲ قسمت ۸", episode(2, 8)],
+  ["قسمت 3", episode(null, 3)],
+  ["Show.S01E01-E90.mkv", episode(1, 1)],
+  ["Show%20S01E04.mkv", episode(1, 4)],
+  ["Movie.2020.1080p.x265.mkv", null],
+  ["", null],
+];
+
+for (const [text, expected] of EPISODES) {
+  test(`parseEpisodeInfo(${JSON.stringify(text)})`, () => {
+    assert.deepEqual(parseEpisodeInfo(text), expected);
+  });
+}
+
+const SIZES = [
+  ["2.1GB", Math.round(2.1 * 1024 ** 3)],
+  ["850 MB", 850 * 1024 ** 2],
+  ["850 مگابایت", 850 * 1024 ** 2],
+  ["۱٫۵ گیگ", Math.round(1.5 * 1024 ** 3)],
+  ["1.2 gb", Math.round(1.2 * 1024 ** 3)],
+  ["نامشخص", null],
+  [undefined, null],
+];
+
+for (const [text, expected] of SIZES) {
+  test(`parseSize(${JSON.stringify(text)})`, () => {
+    assert.equal(parseSize(text), expected);
+  });
+}
@@ -0,0 +1,11 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TITLE_CORPUS } from "./fixtures/titleCorpus.js";
+import { matchTitles } from "../titleMatch.js";
+
+for (const { target, name, match } of TITLE_CORPUS) {
+  test(`"${target}" ${match ? "~" : "!~"} "${name}"`, () => {
+    const result = matchTitles(target, name);
+    assert.equal(result.match, match, `score ${result.score} (${result.rule})`);
+  });
+}
@@ -0,0 +1,231 @@
+// مقایسه فازی عنوان فیلم‌ها: نرمال‌سازی یونیکد و اعداد، سپس شباهت مجموعه کلمات
+// امتیاز بین 0 و 1 است و عنوان‌هایی با امتیاز کمتر از آستانه مطابقت حساب نمی‌شوند
+export const TITLE_MATCH_THRESHOLD =
+  Number(process.env.TITLE_MATCH_THRESHOLD) || 0.75;
+
+// حداقل شباهت دو کلمه (بر اساس فاصله ویرایشی) برای یکسان حساب شدن؛ فقط برای کلمات بلندتر از 3 حرف
+const TOKEN_SIMILARITY = 0.8;
+// سقف امتیاز وقتی همه کلمات یک عنوان در عنوان بلندتر دیگری هست ("Top Gun" و "Top Gun: Maverick")
+// کمتر از آستانه پیش‌فرض است: نام کوتاه شده در منبع فقط با تطابق IMDb قبول می‌شود
+const SUBTITLE_SCORE = 0.7;
+// امتیاز عنوان جایگزین به شکل "Birdman or (The Unexpected Virtue of Ignorance)"
+const ALTERNATE_SCORE = 0.9;
+const COMPACT_SCORE = 0.95;
+
+const LEADING_ARTICLES = ["the", "a", "an"];
+
+const NUMBER_WORDS = {
+  zero: 0,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  thirteen: 13,
+  fourteen: 14,
+  fifteen: 15,
+  sixteen: 16,
+  seventeen: 17,
+  eighteen: 18,
+  nineteen: 19,
+  twenty: 20,
+};
+
+// i، v و x تنها بعد از این کلمات یا در انتهای عنوان عدد رومی حساب می‌شوند ("Part I" بله، "I, Robot" نه)
+const NUMERAL_MARKERS = ["part", "chapter", "volume", "episode", "book"];
+
+// کوتاه‌نوشت‌هایی که به شکل کامل یکسان می‌شوند
+const ALIASES = { vol: "volume", pt: "part", ep: "episode", vs: "v" };
+
+const ROMAN = { i: 1, v: 5, x: 10 };
+
+// اعداد رومی تا 39 (xxxix)؛ بزرگ‌تر از آن در عنوان فیلم‌ها عملاً وجود ندارد
+function romanValue(token) {
+  if (!/^x{0,3}(ix|iv|v?i{0,3})$/.test(token)) return null;
+  let value = 0;
+  for (let i = 0; i < token.length; i++) {
+    const current = ROMAN[token[i]];
+    const next = ROMAN[token[i + 1]] || 0;
+    value += current < next ? -current : current;
+  }
+  return value || null;
+}
+
+function unifyNumeral(token, index, tokens) {
+  if (token in NUMBER_WORDS) return String(NUMBER_WORDS[token]);
+
+  const roman = romanValue(token);
+  if (roman === null) return token;
+  if (token.length > 1) return String(roman);
+
+  const isLast = index === tokens.length - 1 && index > 0;
+  const afterMarker = NUMERAL_MARKERS.includes(tokens[index - 1]);
+  return isLast || afterMarker ? String(roman) : token;
+}
+
+// نرمال‌سازی عنوان برای مقایسه:
+// حذف اعراب و لهجه‌ها (é → e)، یکسان‌سازی حروف عربی و فارسی (ي → ی، ك → ک)، ارقام فارسی و عربی،
+// حذف نیم‌فاصله و آپوستروف، & → and، حذف علائم نگارشی و حرف تعریف ابتدایی و تبدیل اعداد رومی و حروفی به رقم
+export function normalizeTitle(str) {
+  if (!str) return "";
+  const tokens = String(str)
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[يى]/g, "ی")
+    .replace(/ك/g, "ک")
+    .replace(/ة/g, "ه")
+    .replace(/[۰-۹]/g, (d) => d.charCodeAt(0) - 0x06f0)
+    .replace(/[٠-٩]/g, (d) => d.charCodeAt(0) - 0x0660)
+    .replace(/[‌‍ـ]/g, "") // نیم‌فاصله و کشیده
+    .replace(/['’‘`´ʼ]/g, "")
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+
+  if (tokens.length > 1 && LEADING_ARTICLES.includes(tokens[0])) {
+    tokens.shift();
+  }
+  return tokens
+    .map((token) => ALIASES[token] || token)
+    .map(unifyNumeral)
+    .join(" ");
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  // اعداد و کلمات کوتاه باید دقیقاً یکسان باشند ("part 2" با "part 3" یکی نیست)
+  if (a.length < 4 || b.length < 4 || /\d/.test(a + b)) return 0;
+  const similarity = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  return similarity >= TOKEN_SIMILARITY ? similarity : 0;
+}
+
+// شباهت مجموعه کلمات: میانگین Dice (نسبت به هر دو عنوان) و پوشش عنوان کوتاه‌تر
+// هر کلمه عنوان دیگر فقط یک بار با بهترین کلمه مشابه جفت می‌شود
+function tokenSetScore(a, b) {
+  const left = [...new Set(a.split(" "))];
+  const right = [...new Set(b.split(" "))];
+  const [short, long] =
+    left.length <= right.length ? [left, right] : [right, left];
+
+  const used = new Set();
+  let shared = 0;
+  for (const token of short) {
+    let best = 0;
+    let bestIndex = -1;
+    long.forEach((other, i) => {
+      if (used.has(i)) return;
+      const similarity = tokenSimilarity(token, other);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = i;
+      }
+    });
+    if (bestIndex >= 0) {
+      used.add(bestIndex);
+      shared += best;
+    }
+  }
+
+  const dice = (2 * shared) / (short.length + long.length);
+  const coverage = shared / short.length;
+  return (dice + coverage) / 2;
+}
+
+function compareNormalized(a, b) {
+  if (!a || !b) return { score: 0, rule: "none" };
+  if (a === b) return { score: 1, rule: "exact" };
+  if (a.replace(/ /g, "") === b.replace(/ /g, "")) {
+    return { score: COMPACT_SCORE, rule: "compact" };
+  }
+  // عنوان تک‌کلمه‌ای فقط با تطابق کامل قبول می‌شود ("Alien" و "Aliens"، "It" و "It Follows")
+  if (!a.includes(" ") || !b.includes(" ")) return { score: 0, rule: "none" };
+
+  const score = tokenSetScore(a, b);
+  return score > 0 ? { score, rule: "tokens" } : { score: 0, rule: "none" };
+}
+
+// کلماتی از a که در b نیستند
+function leftover(a, b) {
+  const other = new Set(b.split(" "));
+  return a.split(" ").filter((token) => !other.has(token));
+}
+
+// عدد 2 به بالا در بخش اضافه یکی از عنوان‌ها یعنی قسمت دیگری از یک مجموعه است
+// ("Dune" و "Dune: Part Two"، "Toy Story" و "Toy Story 2"، "Blade Runner" و "Blade Runner 2049")
+// "Part One" ممکن است در نام منبع حذف شده باشد، پس 1 مانع نیست
+function isSequel(a, b) {
+  const numbered = (tokens) =>
+    tokens.some((token) => /^\d+$/.test(token) && Number(token) > 1);
+  return numbered(leftover(a, b)) || numbered(leftover(b, a));
+}
+
+// همه کلمات عنوان کوتاه‌تر (چند کلمه‌ای) در عنوان بلندتر هست و عنوان بلندتر کلمه اضافه دارد
+// ("Mission: Impossible" و "Mission: Impossible - Fallout"، "Pirates of the Caribbean" و "... : The Curse of ...")
+function isContained(a, b) {
+  const [short, long] =
+    a.split(" ").length <= b.split(" ").length ? [a, b] : [b, a];
+  if (!short.includes(" ")) return false;
+  return leftover(short, long).length === 0 && leftover(long, short).length > 0;
+}
+
+// بخش اول عنوان‌هایی مثل "Birdman or (The Unexpected ...)" یا "Dr. Strangelove or: How I Learned ..."
+function alternateTitle(str) {
+  const match = /^(.+?)\s+or\s*[:(]/i.exec(String(str));
+  return match ? normalizeTitle(match[1]) : "";
+}
+
+// شباهت دو عنوان خام: { score, rule }
+// rule: exact | compact (فقط فاصله‌ها متفاوت است) | alternate | subtitle | tokens | sequel | none
+export function titleSimilarity(a, b) {
+  const full = [normalizeTitle(a), normalizeTitle(b)];
+  const result = compareNormalized(...full);
+  if (result.score >= COMPACT_SCORE) return result;
+
+  const alternate = [alternateTitle(a), alternateTitle(b)];
+  if (
+    (alternate[0] && alternate[0] === full[1]) ||
+    (alternate[1] && alternate[1] === full[0])
+  ) {
+    return { score: ALTERNATE_SCORE, rule: "alternate" };
+  }
+
+  if (isSequel(...full)) return { score: 0, rule: "sequel" };
+
+  // شباهت کلمات برای عنوانی که بخشی از عنوان دیگر است بالاست ولی اغلب قسمت دیگری از مجموعه است
+  if (isContained(...full)) {
+    return { score: Math.min(result.score, SUBTITLE_SCORE), rule: "subtitle" };
+  }
+  return result;
+}
+
+// مقایسه دو عنوان با آستانه داده شده
+export function matchTitles(a, b, threshold = TITLE_MATCH_THRESHOLD) {
+  const result = titleSimilarity(a, b);
+  return { ...result, match: result.score >= threshold };
+}
@@ -1,4 +1,5 @@
 import Axios from "axios";
+import { http } from "./httpClient.js";
 
 export function getBetweenParentheses(str){
     const regex = /\(([^)]+)\)/;
@@ -8,11 +9,28 @@ export function getBetweenParentheses(str){
 }
 
 export function extractImdbId(url) {
-    const regex = /https:\/\/www\.imdb\.com\/title\/(.*?)\//;
+    if (!url) return null;
+    const regex = /imdb\.com\/title\/(tt\d+)/;
     const match = url.match(regex);
     return match ? match[1] : null; // Returns the extracted ID or null if no match
 }
 
+// تبدیل ارقام فارسی و عربی به انگلیسی
+export function toLatinDigits(str) {
+    return String(str)
+        .replace(/[۰-۹]/g, (d) => String(d.charCodeAt(0) - 0x06f0))
+        .replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x0660));
+}
+
+// اگر promise در زمان ms تمام نشود با خطا رد می‌شود
+export function withTimeout(promise, ms, label = "operation") {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 export function randomInt(min, max) {
     return Math.floor(Math.random() * (max - min + 1)) + min;
 }
@@ -46,9 +64,10 @@ export function randomString(length) {
 
 export async function getCinemeta(type, imdbId){
     try {
-        const res = await Axios.request({
+        const res = await http.request({
             url: `https://v3-cinemeta.strem.io/meta/${type}/${imdbId}.json`,
             method: "get",
+            timeout: 8000,
         })
         if (!!res) {
             return res.data
@@ -65,7 +84,10 @@ export async function searchAndGetTMDB(title){
     }
 
     try {
-        const searchResponse = await Axios.get('https://api.themoviedb.org/3/search/multi', {
+        const searchResponse = await http.request({
+            url: 'https://api.themoviedb.org/3/search/multi',
+            method: 'get',
+            timeout: 8000,
             params: {
                 api_key: process.env.TMDB_API_KEY,
                 query: title,
@@ -83,28 +105,63 @@ export async function searchAndGetTMDB(title){
         const tmdbId = item.id;
         const mediaType = item.media_type; // 'movie' or 'tv'
 
-        const tmdbDetails = await Axios.get(
-            `https://api.themoviedb.org/3/${mediaType}/${tmdbId}?append_to_response=external_ids`,
-            {
-                params: {
-                    api_key: process.env.TMDB_API_KEY,
-                },
-            }
-        );
+        return await getTMDBDetails(mediaType, tmdbId)
+    } catch (error) {
+        console.error('Error:', error.message);
+        return null;
+    }
+}
+
+// پیدا کردن اثر در TMDB با شناسه IMDb؛ type نوع استرمیو (movie یا series) است
+export async function findTMDBByImdbId(imdbId, type){
+    if(!process.env.TMDB_API_KEY) return null
 
-        return tmdbDetails.data
+    try {
+        const findResponse = await http.request({
+            url: `https://api.themoviedb.org/3/find/${imdbId}`,
+            method: 'get',
+            timeout: 8000,
+            params: {
+                api_key: process.env.TMDB_API_KEY,
+                external_source: 'imdb_id',
+            },
+        });
+
+        const { movie_results = [], tv_results = [] } = findResponse.data;
+        const preferTv = type === 'series';
+        const item = (preferTv ? tv_results : movie_results)[0] || (preferTv ? movie_results : tv_results)[0];
+        if (!item) return null;
+
+        const mediaType = tv_results.includes(item) ? 'tv' : 'movie';
+        return await getTMDBDetails(mediaType, item.id)
     } catch (error) {
         console.error('Error:', error.message);
         return null;
     }
 }
 
+// جزئیات اثر به همراه شناسه‌های خارجی و عنوان‌های جایگزین
+export async function getTMDBDetails(mediaType, tmdbId){
+    const tmdbDetails = await http.request({
+        url: `https://api.themoviedb.org/3/${mediaType}/${tmdbId}`,
+        method: 'get',
+        timeout: 8000,
+        params: {
+            api_key: process.env.TMDB_API_KEY,
+            append_to_response: 'external_ids,alternative_titles',
+        },
+    });
+
+    return { ...tmdbDetails.data, media_type: mediaType }
+}
+
 
 export async function getSubtitle(type, imdbId){
     try {
-        const res = await Axios.request({
+        const res = await http.request({
             url: `https://opensubtitles-v3.strem.io/subtitles/${type}/${imdbId}.json`,
             method: "get",
+            timeout: 8000,
         })
         if(!!res){
             return res.data